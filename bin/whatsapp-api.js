@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+// Command-line client for a running WhatsApp API server
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const QRCode = require('qrcode');
+const YAML = require('yaml');
+
+const USAGE = `Usage: whatsapp-api <command> [options]
+
+Sessions (admin key):
+  sessions list
+  sessions create <sessionId> [--connect] [--save]   --save stores the new key in the profile
+  sessions delete <sessionId>
+
+Session commands (session key, or the admin key):
+  status <sessionId>
+  qr <sessionId> [--wait]                           --wait keeps refreshing until linked
+  pair <sessionId> <phoneNumber>
+  send text <sessionId> <to> <text>
+  send <image|video|document|audio|voice|sticker> <sessionId> <to> <file or URL>
+       [--caption <text>] [--filename <name>]
+  config export <sessionId> [file] [--only <kinds>] .yml/.yaml files are YAML, others JSON
+  config import <sessionId> <file>                  kinds: autoReplies, regexTriggers, regexTriggersPro
+
+Options:
+  --profile <name>     Profile to use (default: the file's "default" entry)
+  --config <path>      Profile file (default: $WHATSAPP_API_CONFIG or ~/.whatsapp-api.yml)
+  --url <url>          Server URL ($WHATSAPP_API_URL)
+  --key <key>          Session API key ($WHATSAPP_API_KEY)
+  --admin-key <key>    Admin key ($WHATSAPP_API_ADMIN_KEY)
+  --json               Print JSON instead of tables
+  -h, --help           Show this help
+
+Profile file (YAML or JSON):
+  default: local
+  profiles:
+    local:
+      url: http://localhost:10000
+      adminKey: <admin key>
+      sessions:
+        <sessionId>: <session key>
+`;
+
+const OPTIONS = {
+  profile: { type: 'string' },
+  config: { type: 'string' },
+  url: { type: 'string' },
+  key: { type: 'string' },
+  'admin-key': { type: 'string' },
+  json: { type: 'boolean' },
+  connect: { type: 'boolean' },
+  save: { type: 'boolean' },
+  wait: { type: 'boolean' },
+  caption: { type: 'string' },
+  filename: { type: 'string' },
+  only: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Send route for each media type
+const MEDIA_ROUTES = {
+  image: 'sendImage',
+  video: 'sendVideo',
+  document: 'sendDocument',
+  audio: 'sendAudio',
+  voice: 'sendVoiceNote',
+  sticker: 'sendSticker'
+};
+const CONFIG_KINDS = ['autoReplies', 'regexTriggers', 'regexTriggersPro'];
+const QR_POLL_MS = 3000;
+
+class UsageError extends Error {}
+
+class ApiError extends Error {
+  constructor(status, error) {
+    super(error?.message || `Request failed with status ${status}`);
+    this.status = status;
+    this.code = error?.code || null;
+    this.details = error?.details || null;
+  }
+}
+
+// ✅ Profiles
+function configPath(values) {
+  return values.config || process.env.WHATSAPP_API_CONFIG || path.join(os.homedir(), '.whatsapp-api.yml');
+}
+
+function readConfigDocument(file) {
+  if (!fs.existsSync(file)) return null;
+  return YAML.parseDocument(fs.readFileSync(file, 'utf8'));
+}
+
+// Flags and environment variables win over the profile file
+function loadProfile(values) {
+  const file = configPath(values);
+  const config = readConfigDocument(file)?.toJSON() || {};
+  const name = values.profile || config.default || 'default';
+  const profile = config.profiles?.[name];
+  if (values.profile && !profile) throw new UsageError(`Profile "${name}" not found in ${file}`);
+
+  return {
+    file,
+    name,
+    url: (values.url || process.env.WHATSAPP_API_URL || profile?.url || 'http://localhost:10000').replace(/\/+$/, ''),
+    key: values.key || process.env.WHATSAPP_API_KEY || null,
+    adminKey: values['admin-key'] || process.env.WHATSAPP_API_ADMIN_KEY || profile?.adminKey || null,
+    sessions: profile?.sessions || {}
+  };
+}
+
+// Keeps comments and layout of an existing YAML profile file
+function saveSessionKey(profile, sessionId, apiKey) {
+  const doc = readConfigDocument(profile.file) || new YAML.Document({ default: profile.name, profiles: {} });
+  doc.setIn(['profiles', profile.name, 'sessions', sessionId], apiKey);
+  if (!doc.getIn(['profiles', profile.name, 'url'])) doc.setIn(['profiles', profile.name, 'url'], profile.url);
+
+  const text = profile.file.endsWith('.json') ? `${JSON.stringify(doc.toJSON(), null, 2)}\n` : String(doc);
+  fs.writeFileSync(profile.file, text, { mode: 0o600 });
+}
+
+function adminKey(profile) {
+  if (!profile.adminKey) throw new UsageError('No admin key: set adminKey in the profile or pass --admin-key');
+  return profile.adminKey;
+}
+
+// The admin key is accepted on every session route, so it is the last fallback
+function sessionKey(profile, sessionId) {
+  const key = profile.key || profile.sessions[sessionId] || profile.adminKey;
+  if (!key) throw new UsageError(`No key for session "${sessionId}": add it to the profile or pass --key`);
+  return key;
+}
+
+// ✅ HTTP
+async function request(profile, key, method, urlPath, { body, form } = {}) {
+  const headers = { Authorization: `Bearer ${key}` };
+  if (body) headers['Content-Type'] = 'application/json';
+
+  let res;
+  try {
+    res = await fetch(`${profile.url}${urlPath}`, { method, headers, body: form || (body ? JSON.stringify(body) : undefined) });
+  } catch (err) {
+    throw new Error(`Cannot reach ${profile.url}: ${err.cause?.message || err.message}`);
+  }
+
+  const data = await res.json().catch(() => null);
+  if (!res.ok || data?.success === false) throw new ApiError(res.status, data?.error);
+  return data;
+}
+
+const sessionPath = (sessionId, suffix = '') => `/api/v1/session/${encodeURIComponent(sessionId)}${suffix}`;
+
+// ✅ Output
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+  const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  for (const row of cells) console.log(line(row));
+}
+
+function printRecord(record) {
+  printTable(Object.entries(record).map(([field, value]) => ({ field, value })), ['field', 'value']);
+}
+
+function output(values, data, print) {
+  if (values.json) console.log(JSON.stringify(data, null, 2));
+  else print(data);
+}
+
+function need(positionals, count, usage) {
+  if (positionals.length < count) throw new UsageError(`Usage: whatsapp-api ${usage}`);
+  return positionals;
+}
+
+// ✅ Commands
+async function sessionsCommand(profile, values, [action, sessionId]) {
+  switch (action) {
+    case 'list': {
+      const { data } = await request(profile, adminKey(profile), 'GET', '/api/v1/admin/sessions');
+      return output(values, data, rows => printTable(rows, ['sessionId', 'state', 'connected', 'keys', 'createdAt']));
+    }
+    case 'create': {
+      if (!sessionId) throw new UsageError('Usage: whatsapp-api sessions create <sessionId>');
+      const data = await request(profile, adminKey(profile), 'POST', '/api/v1/admin/sessions', {
+        body: { sessionId, connect: values.connect === true }
+      });
+      if (values.save) saveSessionKey(profile, sessionId, data.apiKey);
+      return output(values, data, () => {
+        printRecord({ sessionId: data.sessionId, apiKey: data.apiKey, scopes: data.key.scopes.join(',') });
+        console.log(values.save ? `\nKey saved to profile "${profile.name}" in ${profile.file}` : '\nThe key is only shown once; --save stores it in the profile.');
+      });
+    }
+    case 'delete': {
+      if (!sessionId) throw new UsageError('Usage: whatsapp-api sessions delete <sessionId>');
+      const data = await request(profile, adminKey(profile), 'DELETE', `/api/v1/admin/sessions/${encodeURIComponent(sessionId)}`);
+      return output(values, data, () => console.log(`Session ${sessionId} deleted`));
+    }
+    default:
+      throw new UsageError('Usage: whatsapp-api sessions <list|create|delete>');
+  }
+}
+
+async function statusCommand(profile, values, positionals) {
+  const [sessionId] = need(positionals, 1, 'status <sessionId>');
+  const data = await request(profile, sessionKey(profile, sessionId), 'GET', sessionPath(sessionId, '/status'));
+  return output(values, data, ({ success, linking, ...status }) => printRecord({
+    ...status,
+    linkingMethod: linking?.method,
+    pairingCode: linking?.pairingCode,
+    pairingExpiresAt: linking?.pairingExpiresAt
+  }));
+}
+
+async function qrCommand(profile, values, positionals) {
+  const [sessionId] = need(positionals, 1, 'qr <sessionId> [--wait]');
+  const key = sessionKey(profile, sessionId);
+
+  let shown = null;
+  for (;;) {
+    const data = await request(profile, key, 'GET', sessionPath(sessionId, '/qr'));
+    if (data.connected) {
+      output(values, data, () => console.log('Connected to WhatsApp'));
+      return;
+    }
+    if (!data.qrText) throw new Error('The server did not return the raw QR code; update the server');
+
+    if (data.qrText !== shown) {
+      shown = data.qrText;
+      if (values.json) {
+        console.log(JSON.stringify(data));
+      } else {
+        // Same rendering the server uses for PRINT_QR
+        console.log(await QRCode.toString(data.qrText, { type: 'terminal', small: true }));
+        console.log('WhatsApp on the phone: Linked devices > Link a device');
+      }
+    }
+    if (!values.wait) return;
+    await new Promise(resolve => setTimeout(resolve, QR_POLL_MS));
+  }
+}
+
+async function pairCommand(profile, values, positionals) {
+  const [sessionId, phoneNumber] = need(positionals, 2, 'pair <sessionId> <phoneNumber>');
+  const data = await request(profile, sessionKey(profile, sessionId), 'POST', sessionPath(sessionId, '/pair'), { body: { phoneNumber } });
+  return output(values, data, () => {
+    if (data.connected) console.log('Connected to WhatsApp');
+    else printRecord({ code: data.formattedCode, expiresAt: data.expiresAt, hint: data.message });
+  });
+}
+
+async function sendCommand(profile, values, positionals) {
+  const [type, sessionId, to, ...rest] = need(positionals, 4, 'send <text|image|video|document|audio|voice|sticker> <sessionId> <to> ...');
+  const key = sessionKey(profile, sessionId);
+  let data;
+
+  if (type === 'text') {
+    const text = rest.join(' ');
+    if (!text) throw new UsageError('Usage: whatsapp-api send text <sessionId> <to> <text>');
+    data = await request(profile, key, 'POST', sessionPath(sessionId, '/sendText'), { body: { to, text } });
+  } else if (MEDIA_ROUTES[type]) {
+    const [source] = need(rest, 1, `send ${type} <sessionId> <to> <file or URL>`);
+    const fields = { to };
+    if (values.caption) fields.caption = values.caption;
+    if (values.filename) fields.filename = values.filename;
+    const route = sessionPath(sessionId, `/${MEDIA_ROUTES[type]}`);
+
+    if (/^(https?:|data:)/i.test(source)) {
+      data = await request(profile, key, 'POST', route, { body: { ...fields, [type]: source } });
+    } else {
+      // Local files go up as a multipart upload
+      const form = new FormData();
+      for (const [field, value] of Object.entries(fields)) form.append(field, value);
+      form.append('file', new Blob([fs.readFileSync(source)]), path.basename(source));
+      data = await request(profile, key, 'POST', route, { form });
+    }
+  } else {
+    throw new UsageError(`Unknown message type "${type}"`);
+  }
+
+  return output(values, data, ({ success, ...job }) => printRecord(job));
+}
+
+// Auto replies and triggers as one { autoReplies, regexTriggers, regexTriggersPro } document
+async function fetchConfig(profile, key, sessionId, kind) {
+  try {
+    const data = await request(profile, key, 'GET', sessionPath(sessionId, `/${kind}`));
+    return kind === 'regexTriggersPro' ? data.triggers : data.data;
+  } catch (err) {
+    // Nothing saved yet
+    if (err.code === 'CONFIG_NOT_FOUND') return [];
+    throw err;
+  }
+}
+
+function configBody(kind, list) {
+  return kind === 'autoReplies' ? { replies: list, saveToAuth: true } : { triggers: list };
+}
+
+async function configCommand(profile, values, [action, sessionId, file]) {
+  if (!['export', 'import'].includes(action) || !sessionId) {
+    throw new UsageError('Usage: whatsapp-api config <export|import> <sessionId> [file]');
+  }
+  const key = sessionKey(profile, sessionId);
+  const isYaml = name => /\.ya?ml$/i.test(name || '');
+
+  if (action === 'export') {
+    const kinds = values.only ? values.only.split(',').map(k => k.trim()) : CONFIG_KINDS;
+    const unknown = kinds.filter(k => !CONFIG_KINDS.includes(k));
+    if (unknown.length) throw new UsageError(`Unknown config kinds: ${unknown.join(', ')}`);
+
+    const config = {};
+    for (const kind of kinds) config[kind] = await fetchConfig(profile, key, sessionId, kind);
+
+    if (!file || file === '-') {
+      process.stdout.write(values.json ? `${JSON.stringify(config, null, 2)}\n` : YAML.stringify(config));
+      return;
+    }
+    fs.writeFileSync(file, isYaml(file) ? YAML.stringify(config) : `${JSON.stringify(config, null, 2)}\n`);
+    const summary = kinds.map(kind => ({ kind, count: config[kind].length }));
+    return output(values, { success: true, file, exported: summary }, () => printTable(summary, ['kind', 'count']));
+  }
+
+  if (!file) throw new UsageError('Usage: whatsapp-api config import <sessionId> <file>');
+  const text = fs.readFileSync(file, 'utf8');
+  const config = isYaml(file) ? YAML.parse(text) : JSON.parse(text);
+  const kinds = CONFIG_KINDS.filter(kind => Array.isArray(config?.[kind]));
+  if (!kinds.length) throw new UsageError(`${file} has none of: ${CONFIG_KINDS.join(', ')}`);
+
+  const summary = [];
+  for (const kind of kinds) {
+    const data = await request(profile, key, 'POST', sessionPath(sessionId, `/${kind}`), { body: configBody(kind, config[kind]) });
+    summary.push({ kind, count: data.count });
+  }
+  return output(values, { success: true, imported: summary }, () => printTable(summary, ['kind', 'count']));
+}
+
+const COMMANDS = {
+  sessions: sessionsCommand,
+  status: statusCommand,
+  qr: qrCommand,
+  pair: pairCommand,
+  send: sendCommand,
+  config: configCommand
+};
+
+async function main() {
+  const { values, positionals } = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"\n\n${USAGE}`);
+
+  await COMMANDS[command](loadProfile(values), values, args);
+}
+
+main().catch((err) => {
+  if (err instanceof UsageError || err.code?.startsWith?.('ERR_PARSE_ARGS')) {
+    console.error(err.message);
+    process.exitCode = 2;
+    return;
+  }
+  console.error(`Error: ${err.message}${err instanceof ApiError && err.code ? ` (${err.code})` : ''}`);
+  if (err instanceof ApiError && err.details) console.error(JSON.stringify(err.details, null, 2));
+  process.exitCode = 1;
+});
@@ -3,21 +3,59 @@ const {
   default: makeWASocket,
   DisconnectReason,
   useMultiFileAuthState,
+  initAuthCreds,
   fetchLatestBaileysVersion,
-  Browsers
+  Browsers,
+  BufferJSON,
+  generateMessageID,
+  downloadMediaMessage,
+  updateMessageWithPollUpdate,
+  getAggregateVotesInPollMessage,
+  proto
 } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const axios = require('axios');
 const { Boom } = require('@hapi/boom');
 const pino = require('pino');
+const cronParser = require('cron-parser');
+const multer = require('multer');
+const promClient = require('prom-client');
+const Ajv = require('ajv');
 
 const SESSIONS_FILE = path.join(__dirname, 'sessions.json');
 const AUTH_DIR = path.join(__dirname, 'auth');
 
+// ✅ Logging (JSON lines via pino; session lines carry sessionId)
+// LOG_LEVEL is the default; each session's level can be changed at runtime
+// through /logLevel (kept in memory until restart)
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const BAILEYS_LOG_LEVEL = process.env.BAILEYS_LOG_LEVEL || 'warn';
+const logger = pino({ level: LOG_LEVEL });
+const sessionLoggers = {};
+
+function sessionLoggerPair(sessionId) {
+  if (!sessionLoggers[sessionId]) {
+    const app = logger.child({ sessionId });
+    sessionLoggers[sessionId] = { app, baileys: app.child({ module: 'baileys' }, { level: BAILEYS_LOG_LEVEL }) };
+  }
+  return sessionLoggers[sessionId];
+}
+
+function sessionLog(sessionId) {
+  return sessionLoggerPair(sessionId).app;
+}
+
+// Logger handed to Baileys (its own level, it is very chatty)
+function baileysLog(sessionId) {
+  return sessionLoggerPair(sessionId).baileys;
+}
+
 // ✅ SAFE sessions file handling
 let sessions = {};
 try {
@@ -29,15 +67,187 @@ try {
     fs.writeJsonSync(SESSIONS_FILE, {});
   }
 } catch (err) {
-  console.error('Error reading sessions file:', err.message);
+  logger.error({ err }, 'Error reading sessions file');
   sessions = {};
   fs.writeJsonSync(SESSIONS_FILE, {});
 }
 
+// ✅ API keys are stored hashed; each session can have several named keys
+const API_KEY_SCOPES = ['read', 'send', 'manage'];
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+function generateApiKey() {
+  return `wak_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function createKeyRecord(name, scopes, apiKey) {
+  return {
+    id: crypto.randomUUID(),
+    name: name || 'default',
+    hash: hashApiKey(apiKey),
+    scopes: scopes || [...API_KEY_SCOPES],
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Older sessions.json files map sessionId -> plaintext key
+let migratedKeys = false;
+for (const [sessionId, value] of Object.entries(sessions)) {
+  if (typeof value === 'string') {
+    sessions[sessionId] = { createdAt: null, keys: [createKeyRecord('default', null, value)] };
+    migratedKeys = true;
+  }
+}
+if (migratedKeys) {
+  fs.writeJsonSync(SESSIONS_FILE, sessions, { spaces: 2 });
+  logger.info('Migrated plaintext API keys in sessions.json to hashes');
+}
+
 const autoReplies = {};
 const regexTriggers = {};
 const regexTriggersPro = {};
 const sockets = {};
+const webhooks = {};
+const webhookDeadLetters = {};
+const messageStores = {};
+const sendQueues = {};
+const queueSettings = {};
+const queueWorkers = {};
+const queueRetryTimers = {};
+const campaigns = {};
+const campaignMessageIndex = {};
+const campaignRunners = new Set();
+const campaignTimers = {};
+const schedules = {};
+const mediaIndexes = {};
+const pairingStates = {};
+const eventClients = {};
+const flows = {};
+const flowStates = {};
+const rules = {};
+const presences = {};
+const messageStatuses = {};
+const lifecycles = {};
+const suppressions = {};
+const suppressionSettings = {};
+const usageStores = {};
+
+// Baileys events that can be forwarded to webhooks
+const WEBHOOK_EVENTS = [
+  'messages.upsert',
+  'messages.update',
+  'messages.delete',
+  'messages.reaction',
+  'message-receipt.update',
+  'connection.update',
+  'chats.upsert',
+  'chats.update',
+  'contacts.upsert',
+  'contacts.update',
+  'groups.upsert',
+  'groups.update',
+  'group-participants.update',
+  'presence.update',
+  'call'
+];
+// Events raised by the server itself that webhooks can also subscribe to
+const SERVER_EVENTS = ['message.status', 'session.state', 'suppression.update'];
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const WEBHOOK_DEAD_LETTER_LIMIT = parseInt(process.env.WEBHOOK_DEAD_LETTER_LIMIT, 10) || 500;
+const MESSAGE_STORE_LIMIT = parseInt(process.env.MESSAGE_STORE_LIMIT, 10) || 5000;
+
+// Send queue defaults, can be changed per session via /queue/settings
+const QUEUE_DEFAULTS = {
+  ratePerMinute: parseInt(process.env.SEND_RATE_PER_MINUTE, 10) || 20,
+  jitterMs: parseInt(process.env.SEND_JITTER_MS ?? '1000', 10),
+  maxAttempts: parseInt(process.env.SEND_MAX_ATTEMPTS, 10) || 3
+};
+const QUEUE_HISTORY_LIMIT = parseInt(process.env.QUEUE_HISTORY_LIMIT, 10) || 1000;
+
+// Scheduled messages: how often to check, and how late a run may be before
+// the missed-run policy ('run' = send once late, 'skip' = drop it) applies
+const SCHEDULE_TICK_MS = parseInt(process.env.SCHEDULE_TICK_MS, 10) || 15000;
+const SCHEDULE_GRACE_MS = parseInt(process.env.SCHEDULE_GRACE_MS, 10) || 60000;
+const SCHEDULE_MISSED_RUN_POLICY = process.env.SCHEDULE_MISSED_RUN_POLICY || 'run';
+
+// Inbound media: max size downloaded and how long files are kept
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES, 10) || 25 * 1024 * 1024;
+const MEDIA_RETENTION_DAYS = parseInt(process.env.MEDIA_RETENTION_DAYS, 10) || 30;
+
+// Pairing-code linking: how long a code is shown before a fresh one is
+// requested, and how many times it is refreshed before giving up
+const PAIRING_CODE_TTL_MS = parseInt(process.env.PAIRING_CODE_TTL_MS, 10) || 60000;
+const PAIRING_MAX_REFRESHES = parseInt(process.env.PAIRING_MAX_REFRESHES, 10) || 5;
+
+// Reconnects after a dropped connection: exponential backoff from the base
+// delay up to the max, giving up after this many failed attempts in a row
+const RECONNECT_BASE_MS = parseInt(process.env.RECONNECT_BASE_MS, 10) || 2000;
+const RECONNECT_MAX_MS = parseInt(process.env.RECONNECT_MAX_MS, 10) || 5 * 60 * 1000;
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS, 10) || 10;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Opt-outs: keywords (comma-separated, matched against the whole message,
+// case-insensitive) and the confirmation sent back, an empty one sends nothing.
+// Both can be changed per session via /suppressions/settings
+const SUPPRESSION_DEFAULTS = {
+  optOutKeywords: (process.env.OPT_OUT_KEYWORDS ?? 'STOP,UNSUBSCRIBE,STOP ALL,OPT OUT,OPTOUT').split(',').map(k => k.trim()).filter(Boolean),
+  optInKeywords: (process.env.OPT_IN_KEYWORDS ?? 'START,SUBSCRIBE,UNSTOP').split(',').map(k => k.trim()).filter(Boolean),
+  optOutReply: process.env.OPT_OUT_REPLY ?? 'You have been unsubscribed and will not receive further messages. Reply START to subscribe again.',
+  optInReply: process.env.OPT_IN_REPLY ?? 'You have been subscribed again. Reply STOP to unsubscribe.'
+};
+
+// Per-session quotas (0 = unlimited). These are the defaults; the admin API sets
+// limits per session. Minute and hour windows are clock-aligned, days are UTC.
+const QUOTA_DEFAULTS = {
+  messagesPerMinute: parseInt(process.env.QUOTA_MESSAGES_PER_MINUTE, 10) || 0,
+  messagesPerHour: parseInt(process.env.QUOTA_MESSAGES_PER_HOUR, 10) || 0,
+  messagesPerDay: parseInt(process.env.QUOTA_MESSAGES_PER_DAY, 10) || 0,
+  newRecipientsPerDay: parseInt(process.env.QUOTA_NEW_RECIPIENTS_PER_DAY, 10) || 0,
+  callbacksPerHour: parseInt(process.env.QUOTA_CALLBACKS_PER_HOUR, 10) || 0,
+  callbacksPerDay: parseInt(process.env.QUOTA_CALLBACKS_PER_DAY, 10) || 0
+};
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS, 10) || 90;
+
+// Trigger/rule callbacks: payload version, request defaults and the reply
+// sent when a callback fails (per-trigger error_message overrides it)
+const CALLBACK_PAYLOAD_VERSION = 2;
+const CALLBACK_TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS, 10) || 15000;
+const CALLBACK_MAX_RETRIES = 5;
+const CALLBACK_ERROR_MESSAGE = process.env.CALLBACK_ERROR_MESSAGE ?? '❌ Error processing your request.';
+
+// Presence: states that can be sent, the longest a typing/recording indicator
+// may be held, and the typing time simulated per character of a reply
+const PRESENCE_TYPES = ['available', 'unavailable', 'composing', 'recording', 'paused'];
+const PRESENCE_MAX_DURATION_MS = 60000;
+const TYPING_MS_PER_CHAR = parseInt(process.env.TYPING_MS_PER_CHAR, 10) || 50;
+const TYPING_MIN_MS = 800;
+const TYPING_MAX_MS = parseInt(process.env.TYPING_MAX_MS, 10) || 6000;
+const READ_CHAT_LIMIT = 50;
+
+// Conversation flows: default inactivity timeout before a flow resets
+const FLOW_DEFAULT_TIMEOUT_SECONDS = parseInt(process.env.FLOW_DEFAULT_TIMEOUT_SECONDS, 10) || 600;
+const FLOW_INPUT_TYPES = ['choice', 'regex', 'text', 'media'];
+
+// Live event stream (SSE) event names
+const STREAM_EVENTS = ['status', 'state', 'qr', 'pairing', 'connection', 'message', 'receipt', 'message.status'];
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Outbound media: accepted MIME types and max size per message type
+const OUTBOUND_MEDIA = {
+  image: { mimetypes: ['image/jpeg', 'image/png', 'image/webp'], maxBytes: 16 * 1024 * 1024 },
+  video: { mimetypes: ['video/mp4', 'video/3gpp'], maxBytes: 64 * 1024 * 1024 },
+  audio: { mimetypes: ['audio/mpeg', 'audio/ogg', 'audio/mp4', 'audio/aac', 'audio/amr'], maxBytes: 16 * 1024 * 1024 },
+  voice: { mimetypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr'], maxBytes: 16 * 1024 * 1024 },
+  sticker: { mimetypes: ['image/webp'], maxBytes: 1024 * 1024 },
+  document: { mimetypes: null, maxBytes: 100 * 1024 * 1024 }
+};
 
 function formatNumber(num) {
   const clean = num.toString().replace(/\D/g, '');
@@ -45,23 +255,362 @@ function formatNumber(num) {
   return `${clean}@s.whatsapp.net`;
 }
 
+function isGroupJid(jid) {
+  return typeof jid === 'string' && jid.endsWith('@g.us');
+}
+
+// Like formatNumber, but also accepts user JIDs and group JIDs (<id>@g.us)
+function formatRecipient(value) {
+  if (value === undefined || value === null) return null;
+  const str = value.toString().trim();
+  if (/^\d+(-\d+)?@g\.us$/.test(str)) return str;
+  if (/^\d{10,15}@s\.whatsapp\.net$/.test(str)) return str;
+  return formatNumber(str);
+}
+
+function formatGroupJid(value) {
+  const str = (value || '').toString().trim();
+  const jid = str.includes('@') ? str : `${str}@g.us`;
+  return /^\d+(-\d+)?@g\.us$/.test(jid) ? jid : null;
+}
+
+// Rule scope: 'dm', 'group' or 'all' (default)
+const RULE_SCOPES = ['all', 'dm', 'group'];
+
+function ruleApplies(rule, isGroup) {
+  const scope = rule.scope || 'all';
+  return scope === 'all' || (scope === 'group') === isGroup;
+}
+
+// ✅ Prometheus metrics
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const metrics = {
+  sessionState: new promClient.Gauge({
+    name: 'whatsapp_api_session_state',
+    help: 'Lifecycle state per session (1 for the current state, 0 for the others)',
+    labelNames: ['sessionId', 'state'],
+    registers: [metricsRegistry],
+    collect() {
+      this.reset();
+      for (const sessionId of Object.keys(sessions)) {
+        const current = sessionState(sessionId);
+        for (const state of SESSION_STATES) this.set({ sessionId, state }, state === current ? 1 : 0);
+      }
+    }
+  }),
+  reconnects: new promClient.Counter({
+    name: 'whatsapp_api_reconnects_total',
+    help: 'Reconnect attempts after a dropped connection',
+    labelNames: ['sessionId'],
+    registers: [metricsRegistry]
+  }),
+  messages: new promClient.Counter({
+    name: 'whatsapp_api_messages_total',
+    help: 'Messages received and sent',
+    labelNames: ['sessionId', 'direction', 'type'],
+    registers: [metricsRegistry]
+  }),
+  sendErrors: new promClient.Counter({
+    name: 'whatsapp_api_send_errors_total',
+    help: 'Failed send attempts (including ones that are retried)',
+    labelNames: ['sessionId'],
+    registers: [metricsRegistry]
+  }),
+  callbackDuration: new promClient.Histogram({
+    name: 'whatsapp_api_callback_duration_seconds',
+    help: 'Rule and flow callback latency',
+    labelNames: ['sessionId', 'kind'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [metricsRegistry]
+  }),
+  callbackFailures: new promClient.Counter({
+    name: 'whatsapp_api_callback_failures_total',
+    help: 'Rule and flow callbacks that failed',
+    labelNames: ['sessionId', 'kind'],
+    registers: [metricsRegistry]
+  }),
+  suppressedSends: new promClient.Counter({
+    name: 'whatsapp_api_suppressed_sends_total',
+    help: 'Sends blocked because the recipient opted out',
+    labelNames: ['sessionId'],
+    registers: [metricsRegistry]
+  }),
+  quotaRejections: new promClient.Counter({
+    name: 'whatsapp_api_quota_rejections_total',
+    help: 'Messages and callbacks refused because a quota was used up',
+    labelNames: ['sessionId', 'quota'],
+    registers: [metricsRegistry]
+  }),
+  queueDepth: new promClient.Gauge({
+    name: 'whatsapp_api_queue_depth',
+    help: 'Jobs waiting in the send queue',
+    labelNames: ['sessionId'],
+    registers: [metricsRegistry],
+    collect() {
+      this.reset();
+      for (const [sessionId, jobs] of Object.entries(sendQueues)) {
+        this.set({ sessionId }, jobs.filter(j => j.status === 'queued' || j.status === 'sending').length);
+      }
+    }
+  })
+};
+
+// Short type label: 'conversation' -> 'text', 'imageMessage' -> 'image', { react } -> 'reaction'
+function metricMessageType(type) {
+  if (!type) return 'unknown';
+  return Object.keys(RULE_MESSAGE_TYPES).find(k => RULE_MESSAGE_TYPES[k].includes(type)) || type.replace(/Message$/, '');
+}
+
+function metricContentType(content) {
+  if (content.react) return 'reaction';
+  if (content.delete) return 'delete';
+  if (content.edit) return 'edit';
+  return Object.keys(content).find(k => RULE_MESSAGE_TYPES[k]) || Object.keys(content)[0] || 'unknown';
+}
+
 const app = express();
 app.use(cors());
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
+// ✅ Error envelope: { success: false, error: { code, message, details } }
+// Codes are stable and safe for clients to branch on; messages may change.
+const ERROR_CODES = [
+  'VALIDATION_ERROR', 'INVALID_JSON', 'INVALID_RECIPIENT', 'INVALID_REGEX', 'INVALID_MEDIA', 'MEDIA_TOO_LARGE',
+  'PAYLOAD_TOO_LARGE', 'INVALID_BUNDLE', 'UNAUTHORIZED', 'FORBIDDEN', 'ADMIN_API_DISABLED', 'NOT_FOUND',
+  'SESSION_NOT_FOUND', 'SESSION_EXISTS', 'SESSION_NOT_CONNECTED', 'SESSION_ALREADY_LINKED', 'LINK_TIMEOUT',
+  'MESSAGE_NOT_FOUND', 'QUOTED_MESSAGE_NOT_FOUND', 'POLL_NOT_FOUND', 'JOB_NOT_FOUND', 'STATUS_NOT_FOUND',
+  'PRESENCE_NOT_FOUND', 'CONFIG_NOT_FOUND', 'CAMPAIGN_NOT_FOUND', 'SCHEDULE_NOT_FOUND', 'MEDIA_NOT_FOUND',
+  'WEBHOOK_NOT_FOUND', 'DEAD_LETTER_NOT_FOUND', 'KEY_NOT_FOUND', 'FLOW_STATE_NOT_FOUND', 'SUPPRESSION_NOT_FOUND',
+  'RECIPIENT_SUPPRESSED', 'QUOTA_EXCEEDED', 'INVALID_STATE', 'INTERNAL_ERROR'
+];
+
+function sendError(res, status, code, message, details = null) {
+  return res.status(status).json({ success: false, error: { code, message, details } });
+}
+
+// For messages produced by shared validators (validateRule, normalizeSchedule, ...)
+function sendValidationError(res, message, details = null) {
+  const code = /invalid phone number/i.test(message) ? 'INVALID_RECIPIENT'
+    : /invalid (trigger regex|pattern|match\.pattern)/i.test(message) ? 'INVALID_REGEX'
+      : 'VALIDATION_ERROR';
+  return sendError(res, 400, code, message, details);
+}
+
+function sendNotConnected(res) {
+  return sendError(res, 409, 'SESSION_NOT_CONNECTED', 'Session is not connected');
+}
+
+function sendPaused(res) {
+  return sendError(res, 409, 'INVALID_STATE', 'Session is paused; resume it first');
+}
+
+// Errors thrown with a status and a known code (media, suppressions, quotas) keep them
+function sendInternalError(res, err) {
+  if (err?.status && ERROR_CODES.includes(err.code)) return sendError(res, err.status, err.code, err.message, err.details || null);
+  return sendError(res, 500, 'INTERNAL_ERROR', err?.message || String(err));
+}
+
+// ✅ Request schemas (JSON Schema via ajv). Each route declares its schema with route();
+// the same schemas validate requests and make up GET /openapi.json.
+// Query strings and multipart forms are all strings, so those are validated with coercion.
+const schemaValidator = new Ajv({ allErrors: true, strict: false });
+const coercingValidator = new Ajv({ allErrors: true, strict: false, coerceTypes: true, useDefaults: true });
+
+const SCHEMA_FORMATS = {
+  recipient: { validate: v => !!formatRecipient(v), code: 'INVALID_RECIPIENT', message: 'must be a phone number with country code or a group JID' },
+  phone: { validate: v => !!formatNumber(v), code: 'INVALID_RECIPIENT', message: 'must be a phone number with country code' },
+  'group-jid': { validate: v => !!formatGroupJid(v), code: 'INVALID_RECIPIENT', message: 'must be a group JID' },
+  regex: {
+    validate: (v) => {
+      try {
+        new RegExp(v, 'i');
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    code: 'INVALID_REGEX',
+    message: 'must be a valid regular expression'
+  },
+  'http-url': { validate: v => /^https?:\/\//i.test(v), code: 'VALIDATION_ERROR', message: 'must be an http(s) URL' },
+  'date-time': { validate: v => !Number.isNaN(Date.parse(v)), code: 'VALIDATION_ERROR', message: 'must be an ISO date/time' },
+  'session-id': { validate: v => SESSION_ID_PATTERN.test(v), code: 'VALIDATION_ERROR', message: 'may only contain letters, numbers, "_" and "-"' }
+};
+
+for (const validator of [schemaValidator, coercingValidator]) {
+  for (const [name, format] of Object.entries(SCHEMA_FORMATS)) validator.addFormat(name, format.validate);
+}
+
+// Reusable schema pieces
+const schemas = {
+  recipient: { type: 'string', format: 'recipient', description: 'Phone number with country code, user JID or group JID' },
+  phone: { type: 'string', format: 'phone', description: 'Phone number with country code' },
+  url: { type: 'string', format: 'http-url' },
+  dateTime: { type: 'string', format: 'date-time' },
+  scope: { type: 'string', enum: RULE_SCOPES },
+  boolish: { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'] },
+  sendOptions: {
+    quotedMessageId: { type: 'string', description: 'Reply to (quote) a stored message' },
+    typing: { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'], description: 'Show "typing…" before sending' },
+    transactional: { type: ['boolean', 'string'], enum: [true, false, 'true', 'false'], description: 'Send even if the recipient opted out' }
+  },
+  callbackOptions: {
+    callback_url: { type: 'string', format: 'http-url' },
+    timeout_ms: { type: 'integer', minimum: 1, maximum: 120000 },
+    retries: { type: 'integer', minimum: 0, maximum: CALLBACK_MAX_RETRIES },
+    secret: { type: 'string', minLength: 1 },
+    headers: { type: 'object', additionalProperties: { type: 'string' } },
+    error_message: { type: 'string' }
+  }
+};
+
+function objectSchema(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+function describeSchemaError(location, error, errors) {
+  const segments = [location, ...error.instancePath.split('/').filter(Boolean)];
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+  const field = segments.join('.');
+
+  if (error.keyword === 'anyOf') {
+    const alternatives = errors
+      .filter(e => e.keyword === 'required' && e.schemaPath.startsWith(`${error.schemaPath}/`))
+      .map(e => e.params.missingProperty);
+    return { field, message: `must include one of: ${alternatives.join(', ')}` };
+  }
+  if (error.keyword === 'required') return { field, message: 'is required' };
+  if (error.keyword === 'format' && SCHEMA_FORMATS[error.params.format]) {
+    return { field, message: SCHEMA_FORMATS[error.params.format].message, code: SCHEMA_FORMATS[error.params.format].code };
+  }
+  if (error.keyword === 'enum') return { field, message: `must be one of: ${[...new Set(error.params.allowedValues.map(String))].join(', ')}` };
+  return { field, message: error.message };
+}
+
+function compileRequestValidators(spec) {
+  const coerceBody = spec.multipart ? coercingValidator : schemaValidator;
+  return [
+    ['params', spec.params && schemaValidator.compile(spec.params)],
+    ['query', spec.query && coercingValidator.compile(spec.query)],
+    ['body', spec.body && coerceBody.compile(spec.body)]
+  ].filter(([, validate]) => validate);
+}
+
+function validateRequest(spec) {
+  const validators = compileRequestValidators(spec);
+  return (req, res, next) => {
+    const problems = [];
+    for (const [location, validate] of validators) {
+      if (location === 'body' && req.body === undefined) req.body = {};
+      if (validate(req[location])) continue;
+      // Errors inside anyOf branches are summarised by the anyOf error itself; "if" only repeats its branch's errors
+      const errors = validate.errors;
+      const branches = errors.filter(e => e.keyword === 'anyOf').map(e => `${e.schemaPath}/`);
+      problems.push(...errors
+        .filter(e => e.keyword !== 'if' && !branches.some(prefix => e.schemaPath.startsWith(prefix)))
+        .map(e => describeSchemaError(location, e, errors)));
+    }
+    if (problems.length === 0) return next();
+
+    const code = problems.find(p => p.code && p.code !== 'VALIDATION_ERROR')?.code || 'VALIDATION_ERROR';
+    const details = problems.map(({ field, message }) => ({ field, message }));
+    return sendError(res, 400, code, `${details[0].field} ${details[0].message}`, details);
+  };
+}
+
+const openApiRoutes = [];
+
+// Registers a route with its schema. The last handler is the route itself; async errors reach the error handler.
+function route(method, routePath, spec, ...handlers) {
+  const handler = handlers.pop();
+  openApiRoutes.push({ method, path: routePath, spec });
+  app[method](routePath, ...handlers, validateRequest(spec), (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  });
+}
+
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const { method, path: routePath, spec } of openApiRoutes) {
+    const parameters = [
+      ...[...routePath.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: spec.params?.properties?.[name] || { type: 'string' }
+      })),
+      ...Object.entries(spec.query?.properties || {}).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        required: (spec.query.required || []).includes(name),
+        schema
+      }))
+    ];
+
+    const operation = {
+      summary: spec.summary,
+      tags: spec.tags,
+      parameters,
+      responses: {
+        [spec.status || 200]: { description: spec.response || 'Success' },
+        default: { $ref: '#/components/responses/Error' }
+      }
+    };
+    if (spec.body) {
+      const contentType = spec.multipart ? 'multipart/form-data' : 'application/json';
+      operation.requestBody = { required: true, content: { [contentType]: { schema: spec.body } } };
+    }
+    if (routePath.startsWith('/api/')) operation.security = [{ bearerAuth: [] }];
+
+    const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'WhatsApp API', version: require('./package.json').version },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session API key for /api/v1/session routes, ADMIN_KEY for /api/v1/admin routes (also accepted on session routes)'
+        }
+      },
+      schemas: {
+        Error: objectSchema({
+          success: { const: false },
+          error: objectSchema({
+            code: { type: 'string', enum: ERROR_CODES },
+            message: { type: 'string' },
+            details: {}
+          }, ['code', 'message'])
+        }, ['success', 'error'])
+      },
+      responses: {
+        Error: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    }
+  };
+}
+
 // ✅ HEALTH CHECK ENDPOINTS
-app.get('/', (req, res) => {
+route('get', '/', { summary: 'Service status', tags: ['System'] }, (req, res) => {
   res.json({
     status: 'online',
     service: 'WhatsApp API - Complete Features',
     sessions: Object.keys(sessions).length,
     activeConnections: Object.values(sockets).filter(s => s.isConnected).length,
+    dashboard: '/dashboard/',
     timestamp: new Date().toISOString()
   });
 });
 
-app.get('/health', (req, res) => {
+route('get', '/health', { summary: 'Health check', tags: ['System'] }, (req, res) => {
   res.json({
     status: 'online',
     service: 'WhatsApp API',
@@ -71,699 +620,5580 @@ app.get('/health', (req, res) => {
     activeConnections: Object.values(sockets).filter(s => s.isConnected).length
   });
 });
+// ✅ Prometheus metrics (set METRICS_TOKEN to require "Authorization: Bearer <token>")
+route('get', '/metrics', { summary: 'Prometheus metrics', tags: ['System'], response: 'Prometheus text format' }, async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const provided = readApiKey(req);
+    if (!provided || !hashesMatch(hashApiKey(provided), hashApiKey(token))) {
+      return sendError(res, 401, 'UNAUTHORIZED', 'Invalid metrics token');
+    }
+  }
 
-function verifyApiKey(req, res, next) {
-  const apiKey = req.header('Authorization')?.replace('Bearer ', '') || req.query.apiKey;
-  const { sessionId } = req.params;
-  if (!apiKey || sessions[sessionId] !== apiKey) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  res.set('Content-Type', metricsRegistry.contentType);
+  return res.end(await metricsRegistry.metrics());
+});
+
+
+function readApiKey(req) {
+  return req.header('Authorization')?.replace('Bearer ', '') || req.query.apiKey;
+}
+
+function hashesMatch(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+function isAdminKey(apiKey) {
+  return !!ADMIN_KEY && !!apiKey && hashesMatch(hashApiKey(apiKey), hashApiKey(ADMIN_KEY));
+}
+
+function findApiKey(sessionId, apiKey) {
+  const session = sessions[sessionId];
+  if (!session || !apiKey) return null;
+  const hash = hashApiKey(apiKey);
+  return session.keys.find(k => hashesMatch(k.hash, hash)) || null;
+}
+
+// Session routes: GET needs "read", other methods "manage", send routes "send".
+// The admin key is accepted on every session route.
+function authorizeSession(scope) {
+  return (req, res, next) => {
+    const apiKey = readApiKey(req);
+    const { sessionId } = req.params;
+
+    if (isAdminKey(apiKey) && sessions[sessionId]) return next();
+
+    const key = findApiKey(sessionId, apiKey);
+    if (!key) {
+      return sendError(res, 401, 'UNAUTHORIZED', 'Invalid or missing API key');
+    }
+
+    const required = scope || (req.method === 'GET' ? 'read' : 'manage');
+    if (!key.scopes.includes(required)) {
+      return sendError(res, 403, 'FORBIDDEN', `API key is missing the "${required}" scope`, { requiredScope: required });
+    }
+    next();
+  };
+}
+
+const verifyApiKey = authorizeSession();
+const verifySendKey = authorizeSession('send');
+
+function verifyAdminKey(req, res, next) {
+  if (!ADMIN_KEY) {
+    return sendError(res, 503, 'ADMIN_API_DISABLED', 'Admin API is disabled, set ADMIN_KEY to enable it');
+  }
+  if (!isAdminKey(readApiKey(req))) {
+    return sendError(res, 401, 'UNAUTHORIZED', 'Invalid or missing admin key');
   }
   next();
 }
 
+function publicKey({ hash, ...key }) {
+  return key;
+}
+
 // ✅ SAFE file write function
 async function safeWriteSessions() {
   try {
     await fs.writeJson(SESSIONS_FILE, sessions, { spaces: 2 });
     return true;
   } catch (err) {
-    console.error('Error writing sessions:', err.message);
+    logger.error({ err }, 'Error writing sessions');
     return false;
   }
 }
 
-// ✅ FIXED: WhatsApp connection with PROPER device linking
-async function connectSession(sessionId) {
-  try {
-    console.log(`[${sessionId}] 🔄 Initializing WhatsApp connection...`);
-    
-    const authPath = path.join(AUTH_DIR, sessionId);
-    const { state, saveCreds } = await useMultiFileAuthState(authPath);
-    
-    // ✅ Latest version fetch for compatibility
-    const { version, isLatest } = await fetchLatestBaileysVersion();
+// ✅ Message helpers (shared by webhooks and handlers)
+function toTimestamp(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value.toNumber === 'function') return value.toNumber();
+  const num = Number(value);
+  return Number.isNaN(num) ? null : num;
+}
 
-    const sock = makeWASocket({
-      auth: state,
-      version,
-      // ✅ PROPER logger to avoid issues
-      logger: pino({ level: 'silent' }),
-      // ✅ Better browser configuration
-      browser: Browsers.ubuntu('Chrome'),
-      // ✅ Mobile device linking ke liye important settings
-      markOnlineOnConnect: false, // ✅ Yeh line important hai
-      syncFullHistory: false,
-      generateHighQualityLinkPreview: true,
-      // ✅ Connection settings
-      connectTimeoutMs: 60000,
-      keepAliveIntervalMs: 10000,
-      // ✅ Mobile companion mode
-      mobile: false,
-      getMessage: async (key) => {
-        return {
-          conversation: "hello"
-        }
-      }
-    });
+function getMessageType(message) {
+  if (!message) return null;
+  return Object.keys(message).find(k => k !== 'messageContextInfo' && k !== 'senderKeyDistributionMessage') || null;
+}
 
-    sock.isConnected = false;
-    sock.sessionId = sessionId;
-    sock.lastQR = null;
-    sockets[sessionId] = sock;
+function getMessageText(message) {
+  if (!message) return null;
+  return message.conversation ||
+    message.extendedTextMessage?.text ||
+    message.imageMessage?.caption ||
+    message.videoMessage?.caption ||
+    message.documentMessage?.caption ||
+    message.documentWithCaptionMessage?.message?.documentMessage?.caption ||
+    null;
+}
 
-    // Save credentials when updated
-    sock.ev.on('creds.update', saveCreds);
+// Strip Buffers/Longs so Baileys objects can be sent as plain JSON
+function toJsonSafe(data) {
+  if (data === undefined) return null;
+  return JSON.parse(JSON.stringify(data, BufferJSON.replacer));
+}
 
-    // Handle connection updates
-    sock.ev.on('connection.update', async (update) => {
-      const { connection, lastDisconnect, qr } = update;
+function normalizeMessage(msg) {
+  return {
+    id: msg.key?.id || null,
+    remoteJid: msg.key?.remoteJid || null,
+    fromMe: !!msg.key?.fromMe,
+    participant: msg.key?.participant || null,
+    pushName: msg.pushName || null,
+    timestamp: toTimestamp(msg.messageTimestamp),
+    type: getMessageType(msg.message),
+    text: getMessageText(msg.message),
+    message: toJsonSafe(msg.message)
+  };
+}
 
-      console.log(`[${sessionId}] Connection update:`, connection);
+// ✅ Debounced saves (many small updates -> one write)
+const pendingSaves = new Map();
 
-      // ✅ QR Code generation
-      if (qr) {
-        console.log(`[${sessionId}] 📱 QR Code received - Scan with WhatsApp Mobile`);
-        try {
-          const qrImage = await QRCode.toDataURL(qr);
-          sock.lastQR = qrImage;
-          console.log(`[${sessionId}] ✅ QR Code generated successfully`);
-          
-          // ✅ Terminal mein QR code display
-          QRCode.toString(qr, { type: 'terminal', small: true }, (err, url) => {
-            if (!err) {
-              console.log(`[${sessionId}] Scan this QR code:`);
-              console.log(url);
-            }
-          });
-        } catch (error) {
-          console.error(`[${sessionId}] ❌ QR generation error:`, error.message);
-        }
-      }
+function scheduleSave(key, saveFn, delay = 1000) {
+  if (pendingSaves.has(key)) return;
+  const timer = setTimeout(async () => {
+    pendingSaves.delete(key);
+    try {
+      await saveFn();
+    } catch (err) {
+      logger.error({ err, key }, 'Error saving');
+    }
+  }, delay);
+  pendingSaves.set(key, { timer, saveFn });
+}
 
-      if (connection === 'open') {
-        sock.isConnected = true;
-        sock.lastQR = null;
-        console.log(`[${sessionId}] ✅ WhatsApp connected successfully!`);
-        console.log(`[${sessionId}] 📱 Device properly linked with mobile`);
+// Save keys look like "<kind>:<sessionId>[:<id>]"
+function pendingSaveKeys(sessionId) {
+  return [...pendingSaves.keys()].filter(key => !sessionId || key.split(':')[1] === sessionId);
+}
 
-        // Load configurations
-        try {
-          const autoReplyPath = path.join(authPath, 'autoReplies.json');
-          if (fs.existsSync(autoReplyPath)) {
-            autoReplies[sessionId] = await fs.readJson(autoReplyPath);
-            console.log(`[${sessionId}] 🔁 Loaded autoReplies`);
-          } else {
-            autoReplies[sessionId] = [];
-          }
+async function flushPendingSaves(sessionId) {
+  for (const key of pendingSaveKeys(sessionId)) {
+    const { timer, saveFn } = pendingSaves.get(key);
+    clearTimeout(timer);
+    pendingSaves.delete(key);
+    try {
+      await saveFn();
+    } catch (err) {
+      logger.error({ err, key }, 'Error saving');
+    }
+  }
+}
 
-          const regexTriggerPath = path.join(authPath, 'regexTriggers.json');
-          if (fs.existsSync(regexTriggerPath)) {
-            regexTriggers[sessionId] = await fs.readJson(regexTriggerPath);
-            console.log(`[${sessionId}]  Loaded regexTriggers`);
-          } else {
-            regexTriggers[sessionId] = [];
-          }
+function dropPendingSaves(sessionId) {
+  for (const key of pendingSaveKeys(sessionId)) {
+    clearTimeout(pendingSaves.get(key).timer);
+    pendingSaves.delete(key);
+  }
+}
 
-          const regexTriggerProPath = path.join(authPath, 'regexTriggersPro.json');
-          if (fs.existsSync(regexTriggerProPath)) {
-            regexTriggersPro[sessionId] = await fs.readJson(regexTriggerProPath);
-            console.log(`[${sessionId}] Loaded regexTriggersPro`);
-          } else {
-            regexTriggersPro[sessionId] = [];
-          }
-        } catch (error) {
-          console.error(`[${sessionId}] ❌ Error loading configs:`, error.message);
-        }
+// ✅ Message store (store in auth/<sessionId>/messages.json)
+async function loadMessageStore(sessionId) {
+  if (messageStores[sessionId]) return messageStores[sessionId];
+
+  const store = new Map();
+  try {
+    const filePath = path.join(AUTH_DIR, sessionId, 'messages.json');
+    if (fs.existsSync(filePath)) {
+      for (const record of await fs.readJson(filePath)) {
+        store.set(record.id, record);
       }
+      sessionLog(sessionId).info(`Loaded ${store.size} stored messages`);
+    }
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading message store');
+  }
 
-      if (connection === 'close') {
-        sock.isConnected = false;
-        const reason = new Boom(lastDisconnect?.error)?.output?.statusCode;
-        console.log(`[${sessionId}] ⚠️ Disconnected:`, reason);
+  messageStores[sessionId] = store;
+  return store;
+}
 
-        if (reason === DisconnectReason.loggedOut || reason === 401) {
-          console.log(`[${sessionId}] ❌ Logged out - clearing auth data`);
-          try {
-            await fs.remove(authPath);
-            console.log(`[${sessionId}] ✅ Auth data cleared`);
-          } catch (e) {
-            console.error(`[${sessionId}] Error clearing auth:`, e.message);
-          }
-          
-          // Fresh connection after 3 seconds
-          setTimeout(() => {
-            console.log(`[${sessionId}] 🔄 Starting fresh connection after logout`);
-            connectSession(sessionId);
-          }, 3000);
-        } else {
-          console.log(`[${sessionId}] 🔄 Reconnecting in 5s...`);
-          setTimeout(() => connectSession(sessionId), 5000);
-        }
-      }
-    });
+function saveMessageStore(sessionId) {
+  scheduleSave(`messages:${sessionId}`, async () => {
+    const filePath = path.join(AUTH_DIR, sessionId, 'messages.json');
+    await fs.outputJson(filePath, [...(messageStores[sessionId] || new Map()).values()]);
+  });
+}
 
-    // ✅ COMPLETE Message handler (sare features ke saath)
-    sock.ev.on('messages.upsert', async ({ messages, type }) => {
-      if (type !== 'notify' || !messages?.[0]) return;
-      const msg = messages[0];
-      if (msg.key.fromMe) return;
+function storeMessage(sessionId, msg) {
+  const store = messageStores[sessionId];
+  const type = getMessageType(msg.message);
+  if (!store || !msg.key?.id || !type || type === 'protocolMessage') return;
 
-      const from = msg.key.remoteJid;
-      const text = msg.message?.conversation || msg.message?.extendedTextMessage?.text;
-      if (!text) return;
+  const existing = store.get(msg.key.id);
+  const record = {
+    ...existing,
+    ...normalizeMessage(msg),
+    direction: msg.key.fromMe ? 'out' : 'in',
+    key: toJsonSafe(msg.key)
+  };
+  if (!record.timestamp) record.timestamp = existing?.timestamp || Math.floor(Date.now() / 1000);
 
-      console.log(`[${sessionId}] 📩 Message from ${from}: ${text}`);
+  store.set(record.id, record);
 
-      // ✅ RegexTriggersPro
-      const proTriggers = regexTriggersPro[sessionId] || [];
-      for (const trigger of proTriggers) {
-        try {
-          const regex = new RegExp(trigger.regex, 'i');
-          const allowedNumbers = trigger.target_number
-            .split(',')
-            .map(num => formatNumber(num.trim()))
-            .filter(Boolean);
-
-          if (!allowedNumbers.includes(from)) continue;
-
-          if (regex.test(text)) {
-            const match = text.match(regex);
-            const keyword = match?.[0];
-
-            const payload = {
-              keyword,
-              name: trigger.name,
-              pattern: trigger.regex
-            };
-
-            try {
-              const res = await axios.post(trigger.callback_url, payload);
-              const replyText = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
-              await sock.sendMessage(from, { text: replyText });
-            } catch (err) {
-              console.error(`[${sessionId}] ❌ Pro Trigger Callback Error:`, err.message);
-              await sock.sendMessage(from, { text: '❌ Error processing your request.' });
-            }
+  // Keep the newest MESSAGE_STORE_LIMIT messages (Map keeps insertion order)
+  while (store.size > MESSAGE_STORE_LIMIT) {
+    store.delete(store.keys().next().value);
+  }
 
-            break; // Stop after one match
-          }
-        } catch (err) {
-          console.error(`[${sessionId}] ❌ Invalid regexPro pattern: ${trigger.regex}`, err.message);
-        }
-      }
+  saveMessageStore(sessionId);
+}
 
-      // ✅ Auto Replies
-      const replies = autoReplies[sessionId] || [];
-      const lowerText = text.toLowerCase().trim();
+async function findStoredMessage(sessionId, messageId) {
+  const store = await loadMessageStore(sessionId);
+  return store.get(messageId) || null;
+}
 
-      for (const { keyword, reply } of replies) {
-        const cleanedText = lowerText.replace(/[^a-z0-9]/gi, '');
-        const cleanedKeyword = keyword.replace(/[^a-z0-9]/gi, '');
-        if (cleanedText === cleanedKeyword) {
-          await new Promise(r => setTimeout(r, 1500));
-          await sock.sendMessage(from, { text: reply });
-          return;
-        }
-      }
+async function getStoredMessage(sessionId, key) {
+  const record = messageStores[sessionId]?.get(key.id);
+  if (!record?.message) return undefined;
+  return JSON.parse(JSON.stringify(record.message), BufferJSON.reviver);
+}
 
-      // ✅ Regex Triggers
-      const triggers = regexTriggers[sessionId] || [];
-      const matchedTriggers = [];
+// Poll votes arrive (already decrypted by Baileys) as messages.update on the poll
+function storePollUpdates(sessionId, key, pollUpdates) {
+  const record = messageStores[sessionId]?.get(key.id);
+  if (!record) return;
 
-      for (const trigger of triggers) {
-        try {
-          const regex = new RegExp(trigger.regex, 'i');
-          if (regex.test(text)) {
-            matchedTriggers.push(trigger);
-          }
-        } catch (err) {
-          console.error(`[${sessionId}] ❌ Regex error in pattern "${trigger.regex}":`, err.message);
-        }
-      }
+  const target = { pollUpdates: JSON.parse(JSON.stringify(record.pollUpdates || []), BufferJSON.reviver) };
+  for (const update of pollUpdates) {
+    updateMessageWithPollUpdate(target, update);
+  }
 
-      if (matchedTriggers.length > 0) {
-        const bestMatch = matchedTriggers.reduce((a, b) =>
-          b.regex.length > a.regex.length ? b : a
-        );
+  record.pollUpdates = toJsonSafe(target.pollUpdates);
+  saveMessageStore(sessionId);
+}
 
-        try {
-          const regex = new RegExp(bestMatch.regex, 'i');
-          const match = text.match(regex);
-          const keyword = match[0];
-
-          const payload = {
-            keyword: keyword,
-            name: bestMatch.name,
-            pattern: bestMatch.regex
-          };
-
-          const res = await axios.post(bestMatch.callback_url, payload);
-          const replyText = typeof res.data === 'string' ? res.data : JSON.stringify(res.data);
-          await sock.sendMessage(from, { text: replyText });
-        } catch (err) {
-          console.error(`[${sessionId}] ❌ Callback error:`, err.message);
-          await sock.sendMessage(from, {
-            text: '❌ Error processing your request. Please try again.'
-          });
-        }
-        return;
-      }
-    });
+async function getPollResults(sessionId, record, meId) {
+  const message = await getStoredMessage(sessionId, record.key);
+  const poll = message.pollCreationMessage || message.pollCreationMessageV2 || message.pollCreationMessageV3;
+  const pollUpdates = JSON.parse(JSON.stringify(record.pollUpdates || []), BufferJSON.reviver);
+  const options = getAggregateVotesInPollMessage({ message, pollUpdates }, meId)
+    .map(({ name, voters }) => ({ name, votes: voters.length, voters }));
 
-    console.log(`[${sessionId}] ✅ WhatsApp client initialized`);
-    return sock;
+  return {
+    messageId: record.id,
+    remoteJid: record.remoteJid,
+    name: poll?.name || null,
+    selectableCount: poll?.selectableOptionsCount ?? null,
+    totalVoters: new Set(options.flatMap(o => o.voters)).size,
+    options
+  };
+}
 
-  } catch (error) {
-    console.error(`[${sessionId}] ❌ Connection error:`, error.message);
-    throw error;
+// Accepts ISO dates or unix timestamps (seconds or ms), returns seconds
+function parseDateParam(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) {
+    const num = parseInt(value, 10);
+    return num > 1e12 ? Math.floor(num / 1000) : num;
   }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? NaN : Math.floor(date / 1000);
 }
 
-// ✅ API ROUTES - ALL FEATURES INCLUDED
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify({ t: record.timestamp, id: record.id })).toString('base64url');
+}
 
-// Create session
-app.post('/api/v1/session/:sessionId', async (req, res) => {
-  const { sessionId } = req.params;
-  const { apiKey } = req.body;
-  
-  if (!apiKey) {
-    return res.status(400).json({ error: 'apiKey is required' });
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof t === 'number' && typeof id === 'string' ? { t, id } : null;
+  } catch {
+    return null;
   }
+}
+
+// ✅ Message status tracking (store in auth/<sessionId>/statuses.json)
+// pending -> server_ack -> delivered -> read -> played; failed can happen at any point before delivery
+const MESSAGE_STATUSES = ['failed', 'pending', 'server_ack', 'delivered', 'read', 'played'];
+
+// proto.WebMessageInfo.Status: ERROR, PENDING, SERVER_ACK, DELIVERY_ACK, READ, PLAYED
+function statusFromProto(status) {
+  return MESSAGE_STATUSES[status] || null;
+}
+
+async function loadMessageStatuses(sessionId) {
+  if (messageStatuses[sessionId]) return messageStatuses[sessionId];
 
+  const store = new Map();
   try {
-    sessions[sessionId] = apiKey;
-    await safeWriteSessions();
-    
-    res.json({ 
-      success: true, 
-      sessionId, 
-      apiKey,
-      message: 'Session created successfully' 
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    const filePath = path.join(AUTH_DIR, sessionId, 'statuses.json');
+    if (fs.existsSync(filePath)) {
+      for (const record of await fs.readJson(filePath)) {
+        store.set(record.messageId, record);
+      }
+    }
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading message statuses');
   }
-});
 
-// ✅ QR Code API
-app.get('/api/v1/session/:sessionId/qr', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
+  messageStatuses[sessionId] = store;
+  return store;
+}
+
+function saveMessageStatuses(sessionId) {
+  scheduleSave(`statuses:${sessionId}`, async () => {
+    const store = messageStatuses[sessionId];
+    if (!store) return;
+    const filePath = path.join(AUTH_DIR, sessionId, 'statuses.json');
+    await fs.outputJson(filePath, [...store.values()]);
+  });
+}
+
+// Records a status change; statuses only move forward, so late or repeated receipts are ignored.
+// For groups, per-participant receipts are kept under recipients.
+function updateMessageStatus(sessionId, messageId, status, { to, jobId, participant, error } = {}) {
+  const store = messageStatuses[sessionId];
+  if (!store || !messageId || !MESSAGE_STATUSES.includes(status)) return;
+
+  const now = new Date().toISOString();
+  let record = store.get(messageId);
+  if (!record) {
+    record = { messageId, to: to || null, jobId: jobId || null, status: null, error: null, history: [], recipients: {}, createdAt: now };
+    store.set(messageId, record);
+    while (store.size > MESSAGE_STORE_LIMIT) {
+      store.delete(store.keys().next().value);
+    }
+  }
+  if (jobId) record.jobId = jobId;
+  if (to && !record.to) record.to = to;
+
+  const rank = (s) => MESSAGE_STATUSES.indexOf(s);
+  if (participant) {
+    const current = record.recipients[participant];
+    if (current && rank(current.status) >= rank(status)) return;
+    record.recipients[participant] = { status, at: now };
+  } else {
+    // failed only replaces pending; everything else must be further along
+    const current = record.status;
+    if (current && (status === 'failed' ? current !== 'pending' : rank(current) >= rank(status))) return;
+    record.status = status;
+    record.error = error || null;
+    record.history.push({ status, at: now });
+  }
+  record.updatedAt = now;
+  saveMessageStatuses(sessionId);
+
+  emitSessionEvent(sessionId, 'message.status', {
+    messageId,
+    to: record.to,
+    status,
+    participant: participant || null,
+    error: error || null,
+    jobId: record.jobId
+  });
+}
 
+// ✅ Opt-out suppression list (auth/<sessionId>/suppressions.json, keyed by JID).
+// Every send path checks it; sends marked transactional skip the check.
+async function loadSuppressions(sessionId) {
+  if (suppressions[sessionId]) return suppressions[sessionId];
+
+  const authPath = path.join(AUTH_DIR, sessionId);
+  const list = new Map();
+  let settings = {};
   try {
-    let sock = sockets[sessionId];
-    
-    // Check if already connected
-    if (sock?.isConnected) {
-      return res.json({ 
-        success: true, 
-        connected: true,
-        message: 'Already connected to WhatsApp' 
-      });
+    const listPath = path.join(authPath, 'suppressions.json');
+    if (fs.existsSync(listPath)) {
+      for (const entry of await fs.readJson(listPath)) list.set(entry.jid, entry);
     }
 
-    // Initialize new connection if not exists
-    if (!sock) {
-      sock = await connectSession(sessionId);
+    const settingsPath = path.join(authPath, 'suppressionSettings.json');
+    if (fs.existsSync(settingsPath)) settings = await fs.readJson(settingsPath);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading suppression list');
+  }
+
+  suppressions[sessionId] = list;
+  suppressionSettings[sessionId] = { ...SUPPRESSION_DEFAULTS, ...settings };
+  return list;
+}
+
+function saveSuppressions(sessionId) {
+  scheduleSave(`suppressions:${sessionId}`, async () => {
+    const list = suppressions[sessionId];
+    if (!list) return;
+    await fs.outputJson(path.join(AUTH_DIR, sessionId, 'suppressions.json'), [...list.values()]);
+  });
+}
+
+// Opt-outs apply to the person, whichever of their devices a JID names
+function suppressionJid(jid) {
+  const [user, server] = jid.split('@');
+  return `${user.split(':')[0]}@${server}`;
+}
+
+// Both return false when nothing changed; load the list first
+function addSuppression(sessionId, jid, { reason = null, source = 'api' } = {}) {
+  const list = suppressions[sessionId];
+  if (list.has(jid)) return false;
+  list.set(jid, { jid, number: jid.split('@')[0], reason, source, createdAt: new Date().toISOString() });
+  saveSuppressions(sessionId);
+  return true;
+}
+
+function removeSuppression(sessionId, jid) {
+  if (!suppressions[sessionId].delete(jid)) return false;
+  saveSuppressions(sessionId);
+  return true;
+}
+
+function emitSuppressionUpdate(sessionId, action, source, jids) {
+  if (!jids.length) return;
+  emitSessionEvent(sessionId, 'suppression.update', { action, source, numbers: jids.map(jid => jid.split('@')[0]) });
+}
+
+// Groups are never suppressed, only the people in them
+async function isSuppressed(sessionId, jid) {
+  if (isGroupJid(jid)) return false;
+  return (await loadSuppressions(sessionId)).has(suppressionJid(jid));
+}
+
+async function assertNotSuppressed(sessionId, jid) {
+  if (!(await isSuppressed(sessionId, jid))) return;
+  metrics.suppressedSends.inc({ sessionId });
+  const err = new Error(`${jid.split('@')[0]} has opted out; mark the send as transactional to send anyway`);
+  err.status = 403;
+  err.code = 'RECIPIENT_SUPPRESSED';
+  throw err;
+}
+
+// Handles an opt-out/opt-in keyword in a direct chat; true when the message was one.
+// An opt-in keyword from someone who never opted out is left to the rules.
+async function handleSuppressionKeyword(sessionId, jid, text) {
+  if (!text) return false;
+  await loadSuppressions(sessionId);
+  const settings = suppressionSettings[sessionId];
+  const word = text.trim().toUpperCase();
+  const matches = keywords => keywords.some(k => k.toUpperCase() === word);
+
+  const key = suppressionJid(jid);
+  let optOut;
+  if (matches(settings.optOutKeywords)) {
+    optOut = true;
+    if (addSuppression(sessionId, key, { reason: `Keyword: ${text.trim()}`, source: 'keyword' })) {
+      emitSuppressionUpdate(sessionId, 'added', 'keyword', [key]);
+    }
+  } else if (matches(settings.optInKeywords) && removeSuppression(sessionId, key)) {
+    optOut = false;
+    emitSuppressionUpdate(sessionId, 'removed', 'keyword', [key]);
+  } else {
+    return false;
+  }
+
+  sessionLog(sessionId).info(`${key.split('@')[0]} opted ${optOut ? 'out' : 'in'} by keyword`);
+  const reply = optOut ? settings.optOutReply : settings.optInReply;
+  if (reply) await sendReply(sessionId, jid, { text: reply }, undefined, { transactional: true });
+  return true;
+}
+
+// ✅ Usage accounting and quotas (auth/<sessionId>/usage.json).
+// Messages count when they are accepted (queued or sent as a reply), callbacks when they are made.
+async function loadUsage(sessionId) {
+  if (usageStores[sessionId]) return usageStores[sessionId];
+
+  const authPath = path.join(AUTH_DIR, sessionId);
+  let saved = {};
+  let recipients = {};
+  try {
+    const filePath = path.join(authPath, 'usage.json');
+    if (fs.existsSync(filePath)) saved = await fs.readJson(filePath);
+
+    const recipientsPath = path.join(authPath, 'usageRecipients.json');
+    if (fs.existsSync(recipientsPath)) recipients = await fs.readJson(recipientsPath);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading usage');
+  }
+
+  // Older usage.json files kept a plain list of recipients
+  const today = new Date().toISOString().slice(0, 10);
+  for (const jid of saved.recipients || []) recipients[jid] = recipients[jid] || today;
+
+  usageStores[sessionId] = {
+    minute: saved.minute || null,
+    hour: saved.hour || null,
+    days: saved.days || {},
+    // Day each recipient was last messaged; anyone missing (or pruned) counts as new
+    recipients: new Map(Object.entries(recipients))
+  };
+  return usageStores[sessionId];
+}
+
+function usageRetentionStart() {
+  return new Date(Date.now() - USAGE_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+}
+
+function saveUsage(sessionId) {
+  scheduleSave(`usage:${sessionId}`, async () => {
+    const usage = usageStores[sessionId];
+    if (!usage) return;
+
+    const oldest = usageRetentionStart();
+    for (const date of Object.keys(usage.days)) {
+      if (date < oldest) delete usage.days[date];
     }
+    const { recipients, ...counters } = usage;
+    await fs.outputJson(path.join(AUTH_DIR, sessionId, 'usage.json'), counters);
+  }, 1000);
+}
 
-    // Wait for QR code
-    let qrFound = false;
-    for (let i = 0; i < 30; i++) {
-      if (sock.lastQR) {
-        qrFound = true;
-        return res.json({
-          success: true,
-          connected: false,
-          qr: sock.lastQR,
-          message: 'Scan QR code with WhatsApp Mobile'
-        });
+// Kept apart from the counters and written less often, as it grows with the audience
+function saveUsageRecipients(sessionId) {
+  scheduleSave(`usageRecipients:${sessionId}`, async () => {
+    const usage = usageStores[sessionId];
+    if (!usage) return;
+
+    const oldest = usageRetentionStart();
+    for (const [jid, date] of usage.recipients) {
+      if (date < oldest) usage.recipients.delete(jid);
+    }
+    await fs.outputJson(path.join(AUTH_DIR, sessionId, 'usageRecipients.json'), Object.fromEntries(usage.recipients));
+  }, 30000);
+}
+
+function sessionQuotas(sessionId) {
+  return { ...QUOTA_DEFAULTS, ...sessions[sessionId]?.quotas };
+}
+
+const USAGE_WINDOW_MS = { minute: 60000, hour: 3600000 };
+
+function usageWindow(usage, unit, now) {
+  const start = Math.floor(now / USAGE_WINDOW_MS[unit]) * USAGE_WINDOW_MS[unit];
+  if (usage[unit]?.start !== start) usage[unit] = { start, messages: 0, callbacks: 0 };
+  return usage[unit];
+}
+
+function usageDay(usage, now) {
+  const date = new Date(now).toISOString().slice(0, 10);
+  return usage.days[date] || (usage.days[date] = { date, messages: 0, byType: {}, newRecipients: 0, callbacks: 0, rejected: 0 });
+}
+
+// Every quota with its limit, current use and reset time; newRecipient adds the
+// new-recipient quota, which only applies to someone not messaged within USAGE_RETENTION_DAYS
+function quotaChecks(sessionId, usage, kind, now, newRecipient = false) {
+  const limits = sessionQuotas(sessionId);
+  const minute = usageWindow(usage, 'minute', now);
+  const hour = usageWindow(usage, 'hour', now);
+  const day = usageDay(usage, now);
+  const dayEnd = Date.parse(`${day.date}T00:00:00Z`) + 86400000;
+
+  const field = kind === 'callback' ? 'callbacks' : 'messages';
+  const checks = kind === 'callback'
+    ? [['callbacksPerHour', hour, hour.start + USAGE_WINDOW_MS.hour], ['callbacksPerDay', day, dayEnd]]
+    : [
+      ['messagesPerMinute', minute, minute.start + USAGE_WINDOW_MS.minute],
+      ['messagesPerHour', hour, hour.start + USAGE_WINDOW_MS.hour],
+      ['messagesPerDay', day, dayEnd]
+    ];
+  const result = checks.map(([quota, counter, resetAt]) => ({ quota, limit: limits[quota], used: counter[field], resetAt }));
+  if (newRecipient) result.push({ quota: 'newRecipientsPerDay', limit: limits.newRecipientsPerDay, used: day.newRecipients, resetAt: dayEnd });
+  return result;
+}
+
+// Counts one message or callback, or throws QUOTA_EXCEEDED (429) when a quota is used up
+async function consumeQuota(sessionId, kind, { jid = null, type = null } = {}) {
+  const usage = await loadUsage(sessionId);
+  const now = Date.now();
+  const newRecipient = kind === 'message' && !!jid && !(usage.recipients.get(jid) >= usageRetentionStart());
+  const day = usageDay(usage, now);
+
+  const exceeded = quotaChecks(sessionId, usage, kind, now, newRecipient).find(c => c.limit && c.used >= c.limit);
+  if (exceeded) {
+    day.rejected += 1;
+    saveUsage(sessionId);
+    metrics.quotaRejections.inc({ sessionId, quota: exceeded.quota });
+
+    const resetAt = new Date(exceeded.resetAt).toISOString();
+    const err = new Error(`Quota ${exceeded.quota} (${exceeded.limit}) exceeded, resets at ${resetAt}`);
+    err.status = 429;
+    err.code = 'QUOTA_EXCEEDED';
+    err.details = { quota: exceeded.quota, limit: exceeded.limit, used: exceeded.used, resetAt };
+    throw err;
+  }
+
+  if (kind === 'callback') {
+    usageWindow(usage, 'hour', now).callbacks += 1;
+    day.callbacks += 1;
+  } else {
+    usageWindow(usage, 'minute', now).messages += 1;
+    usageWindow(usage, 'hour', now).messages += 1;
+    day.messages += 1;
+    if (type) day.byType[type] = (day.byType[type] || 0) + 1;
+    if (newRecipient) day.newRecipients += 1;
+    if (jid && usage.recipients.get(jid) !== day.date) {
+      usage.recipients.set(jid, day.date);
+      saveUsageRecipients(sessionId);
+    }
+  }
+  saveUsage(sessionId);
+}
+
+// Callbacks over quota are skipped, not retried
+async function tryCallbackQuota(sessionId) {
+  try {
+    await consumeQuota(sessionId, 'callback');
+    return true;
+  } catch (err) {
+    if (err.code !== 'QUOTA_EXCEEDED') throw err;
+    sessionLog(sessionId).warn(err.details, 'Callback skipped, quota exceeded');
+    return false;
+  }
+}
+
+// ✅ Message content for each send route type ({ content } or { error })
+const MESSAGE_TYPES = ['text', 'image', 'document', 'location', 'audio', 'voice', 'video', 'sticker', 'poll'];
+
+// Fields of each message type, shared by the send routes and schedules; media is a URL or base64, never a server path
+const mediaSourceSchema = { type: 'string', minLength: 1, description: 'Media URL, base64 string or data URI' };
+const MESSAGE_FIELD_SCHEMAS = {
+  text: objectSchema({ text: { type: 'string', minLength: 1 } }, ['text']),
+  image: objectSchema({ image: mediaSourceSchema, caption: { type: 'string' } }, ['image']),
+  document: objectSchema({
+    document: mediaSourceSchema,
+    caption: { type: 'string' },
+    filename: { type: 'string' },
+    mimetype: { type: 'string' }
+  }, ['document']),
+  audio: objectSchema({ audio: mediaSourceSchema }, ['audio']),
+  voice: objectSchema({ voice: mediaSourceSchema }, ['voice']),
+  video: objectSchema({ video: mediaSourceSchema, caption: { type: 'string' }, gif: schemas.boolish }, ['video']),
+  sticker: objectSchema({ sticker: mediaSourceSchema }, ['sticker']),
+  location: objectSchema({
+    latitude: { type: ['number', 'string'] },
+    longitude: { type: ['number', 'string'] },
+    name: { type: 'string' }
+  }, ['latitude', 'longitude']),
+  poll: objectSchema({
+    name: { type: 'string', minLength: 1 },
+    options: { type: 'array', minItems: 2, maxItems: 12, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+    selectableCount: { type: ['integer', 'string'], description: '0 allows any number of choices' }
+  }, ['name', 'options'])
+};
+const messageFieldValidators = Object.fromEntries(
+  Object.entries(MESSAGE_FIELD_SCHEMAS).map(([type, schema]) => [type, schemaValidator.compile(schema)])
+);
+
+// Checks message fields against their type's schema; returns an error message or null
+function validateMessageFields(type, fields, location = 'message') {
+  const validate = messageFieldValidators[type];
+  if (!validate) return `type must be one of: ${MESSAGE_TYPES.join(', ')}`;
+  if (validate(fields)) return null;
+
+  const { field, message } = describeSchemaError(location, validate.errors[0], validate.errors);
+  return `${field} ${message}`;
+}
+
+function buildMessageContent(type, params = {}) {
+  switch (type) {
+    case 'text':
+      if (!params.text) return { error: 'text is required' };
+      return { content: { text: params.text } };
+    case 'image':
+      if (!params.image) return { error: 'image is required' };
+      return { content: { image: { url: params.image }, caption: params.caption || '' } };
+    case 'document':
+      if (!params.document) return { error: 'document is required' };
+      return {
+        content: {
+          document: { url: params.document },
+          fileName: params.filename || 'file.pdf',
+          mimetype: params.mimetype || 'application/pdf',
+          caption: params.caption || ''
+        }
+      };
+    case 'audio':
+      if (!params.audio) return { error: 'audio is required' };
+      return { content: { audio: { url: params.audio }, mimetype: params.mimetype || 'audio/mpeg', ptt: false } };
+    case 'voice':
+      // PTT voice notes play best as ogg/opus
+      if (!params.voice) return { error: 'voice is required' };
+      return {
+        content: {
+          audio: { url: params.voice },
+          mimetype: !params.mimetype || params.mimetype === 'audio/ogg' ? 'audio/ogg; codecs=opus' : params.mimetype,
+          ptt: true
+        }
+      };
+    case 'video':
+      if (!params.video) return { error: 'video is required' };
+      return {
+        content: {
+          video: { url: params.video },
+          caption: params.caption || '',
+          gifPlayback: params.gif === true || params.gif === 'true'
+        }
+      };
+    case 'sticker':
+      if (!params.sticker) return { error: 'sticker is required' };
+      return { content: { sticker: { url: params.sticker } } };
+    case 'poll': {
+      const values = params.options;
+      if (!params.name) return { error: 'name is required' };
+      if (!Array.isArray(values) || values.length < 2 || values.length > 12 || values.some(v => typeof v !== 'string' || !v)) {
+        return { error: 'options must be an array of 2 to 12 non-empty strings' };
       }
-      
-      // Check if connected while waiting
-      if (sock.isConnected) {
-        return res.json({ 
-          success: true, 
-          connected: true,
-          message: 'Connected to WhatsApp!' 
-        });
+      if (new Set(values).size !== values.length) return { error: 'options must be unique' };
+
+      const selectableCount = params.selectableCount === undefined ? 1 : parseInt(params.selectableCount, 10);
+      if (!(selectableCount >= 0 && selectableCount <= values.length)) {
+        return { error: 'selectableCount must be between 0 (any) and the number of options' };
       }
-      
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      return { content: { poll: { name: params.name, values, selectableCount } } };
+    }
+    case 'location': {
+      const latitude = parseFloat(params.latitude);
+      const longitude = parseFloat(params.longitude);
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+        return { error: 'latitude and longitude are required' };
+      }
+      return {
+        content: {
+          location: {
+            degreesLatitude: latitude,
+            degreesLongitude: longitude,
+            name: params.name || 'Shared Location'
+          }
+        }
+      };
     }
+    default:
+      return { error: `type must be one of: ${MESSAGE_TYPES.join(', ')}` };
+  }
+}
 
-    // Timeout
-    if (!qrFound) {
-      res.status(408).json({
-        success: false,
-        error: 'QR generation timeout',
-        message: 'Please try again'
-      });
+// ✅ Inbound media (files in auth/<sessionId>/media, index in media.json)
+const MEDIA_MESSAGE_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/3gpp': '.3gp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/amr': '.amr',
+  'video/webm': '.webm',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip'
+};
+
+// Returns { type, media } for media messages (documents with captions are wrapped)
+function getMediaContent(message) {
+  if (!message) return null;
+  const inner = message.documentWithCaptionMessage?.message || message;
+  const type = MEDIA_MESSAGE_TYPES.find(t => inner[t]);
+  return type ? { type, media: inner[type] } : null;
+}
+
+function mediaExtension(mimetype, fileName) {
+  const base = (mimetype || '').split(';')[0].trim();
+  return MIME_EXTENSIONS[base] || path.extname(fileName || '') || '.bin';
+}
+
+async function loadMediaIndex(sessionId) {
+  if (mediaIndexes[sessionId]) return mediaIndexes[sessionId];
+
+  let list = [];
+  try {
+    const filePath = path.join(AUTH_DIR, sessionId, 'media.json');
+    if (fs.existsSync(filePath)) list = await fs.readJson(filePath);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading media index');
+  }
+
+  mediaIndexes[sessionId] = list;
+  return list;
+}
+
+function saveMediaIndex(sessionId) {
+  scheduleSave(`media:${sessionId}`, async () => {
+    const filePath = path.join(AUTH_DIR, sessionId, 'media.json');
+    await fs.outputJson(filePath, mediaIndexes[sessionId] || [], { spaces: 2 });
+  });
+}
+
+async function saveInboundMedia(sessionId, sock, msg, logger) {
+  const found = getMediaContent(msg.message);
+  if (!found) return;
+
+  const { type, media } = found;
+  const record = messageStores[sessionId]?.get(msg.key.id);
+  const size = toTimestamp(media.fileLength) || 0;
+
+  if (size > MEDIA_MAX_BYTES) {
+    sessionLog(sessionId).warn(`Skipping ${type} (${size} bytes > ${MEDIA_MAX_BYTES})`);
+    if (record) {
+      record.media = { id: null, mimetype: media.mimetype || null, size, skipped: 'too_large' };
+      saveMessageStore(sessionId);
     }
+    return;
+  }
 
-  } catch (error) {
-    console.error(`[${sessionId}] QR API error:`, error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Failed to generate QR code'
+  try {
+    const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+      logger,
+      reuploadRequest: sock.updateMediaMessage
     });
+    if (buffer.length > MEDIA_MAX_BYTES) return;
+
+    const id = crypto.randomUUID();
+    const fileName = `${id}${mediaExtension(media.mimetype, media.fileName)}`;
+    await fs.outputFile(path.join(AUTH_DIR, sessionId, 'media', fileName), buffer);
+
+    const entry = {
+      id,
+      messageId: msg.key.id,
+      remoteJid: msg.key.remoteJid,
+      sender: msg.key.participant || msg.key.remoteJid,
+      type,
+      mimetype: media.mimetype || 'application/octet-stream',
+      fileName: media.fileName || null,
+      size: buffer.length,
+      file: fileName,
+      createdAt: new Date().toISOString()
+    };
+
+    const list = await loadMediaIndex(sessionId);
+    list.push(entry);
+    saveMediaIndex(sessionId);
+
+    if (record) {
+      record.media = { id, mimetype: entry.mimetype, size: entry.size, fileName: entry.fileName };
+      saveMessageStore(sessionId);
+    }
+    sessionLog(sessionId).info(`Saved ${type} ${id} (${buffer.length} bytes)`);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Media download failed');
+  }
+}
+
+// Deletes media older than MEDIA_RETENTION_DAYS
+async function pruneMedia() {
+  const cutoff = Date.now() - MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const [sessionId, list] of Object.entries(mediaIndexes)) {
+    const expired = list.filter(m => Date.parse(m.createdAt) < cutoff);
+    if (expired.length === 0) continue;
+
+    for (const entry of expired) {
+      await fs.remove(path.join(AUTH_DIR, sessionId, 'media', entry.file)).catch(() => {});
+    }
+    mediaIndexes[sessionId] = list.filter(m => !expired.includes(m));
+    saveMediaIndex(sessionId);
+    sessionLog(sessionId).info(`Pruned ${expired.length} media files`);
+  }
+}
+
+// ✅ Outbound media (multipart upload, base64/data URI or URL -> auth/<sessionId>/outbox)
+function mediaError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = status === 413 ? 'MEDIA_TOO_LARGE' : 'INVALID_MEDIA';
+  return err;
+}
+
+// Sniffs the MIME type from magic bytes; null when unknown
+function detectMimeType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === '%PDF') return 'application/pdf';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 5) === '#!AMR') return 'audio/amr';
+  if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    return 'video/mp4';
+  }
+  if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) return 'video/webm';
+  if (ascii(0, 4) === 'PK\x03\x04') return 'application/zip';
+  return null;
+}
+
+async function readMediaSource(source, maxBytes) {
+  if (typeof source !== 'string' || source.trim() === '') return null;
+  const value = source.trim();
+
+  if (/^https?:\/\//i.test(value)) {
+    try {
+      const response = await axios.get(value, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        maxContentLength: maxBytes,
+        maxBodyLength: maxBytes
+      });
+      return Buffer.from(response.data);
+    } catch (err) {
+      if (/maxContentLength/i.test(err.message)) throw mediaError(413, `File exceeds ${maxBytes} bytes`);
+      throw mediaError(400, `Could not download media: ${err.message}`);
+    }
+  }
+
+  const dataUri = /^data:[^;,]*(;[^,]*)?;base64,(.*)$/s.exec(value);
+  const base64 = dataUri ? dataUri[2] : value;
+  // Padded to a multiple of 4, which also keeps file paths from passing as base64
+  if (!/^[A-Za-z0-9+/\s]+={0,2}$/.test(base64) || base64.replace(/\s/g, '').length % 4 !== 0) {
+    throw mediaError(400, 'Media must be a URL, base64 string or data URI');
+  }
+  return Buffer.from(base64, 'base64');
+}
+
+// Resolves the media for a send request into a file in the session outbox
+async function resolveOutboundMedia(sessionId, type, file, source, declaredMimetype) {
+  const { mimetypes, maxBytes } = OUTBOUND_MEDIA[type];
+
+  const buffer = file ? file.buffer : await readMediaSource(source, maxBytes);
+  if (!buffer || buffer.length === 0) {
+    throw mediaError(400, `Provide a "file" upload or a "${type}" URL/base64 value`);
+  }
+  if (buffer.length > maxBytes) {
+    throw mediaError(413, `${type} exceeds the ${maxBytes} byte limit`);
+  }
+
+  const detected = detectMimeType(buffer);
+  const mimetype = type === 'document'
+    ? declaredMimetype || detected || file?.mimetype || 'application/octet-stream'
+    : detected;
+  if (mimetypes && !mimetypes.includes(mimetype)) {
+    throw mediaError(415, `Unsupported ${type} type: ${mimetype || 'unknown'}. Allowed: ${mimetypes.join(', ')}`);
+  }
+
+  const filePath = path.join(AUTH_DIR, sessionId, 'outbox', `${crypto.randomUUID()}${mediaExtension(mimetype, file?.originalname)}`);
+  await fs.outputFile(filePath, buffer);
+  return { path: filePath, mimetype, size: buffer.length };
+}
+
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: Math.max(...Object.values(OUTBOUND_MEDIA).map(m => m.maxBytes)) }
+}).single('file');
+
+function handleMediaUpload(req, res, next) {
+  mediaUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return sendError(res, 413, 'MEDIA_TOO_LARGE', err.message);
+    return sendError(res, 400, 'INVALID_MEDIA', err.message);
+  });
+}
+
+// Multipart or JSON body; multipart fields arrive as strings, hence the coercing validator
+function mediaSendSpec(type, summary) {
+  const properties = {
+    to: schemas.recipient,
+    ...MESSAGE_FIELD_SCHEMAS[type].properties,
+    [type]: { ...mediaSourceSchema, description: 'Media URL, base64 string or data URI (instead of "file")' },
+    file: { type: 'string', contentMediaType: 'application/octet-stream', description: 'Uploaded file (instead of the URL/base64 field)' },
+    ...schemas.sendOptions
+  };
+
+  return { summary, tags: ['Messages'], status: 202, multipart: true, body: objectSchema(properties, ['to']) };
+}
+
+function sendMediaHandler(type) {
+  return async (req, res) => {
+    const { sessionId } = req.params;
+    const jid = formatRecipient(req.body.to);
+
+    const { options, error: optionsError } = await buildSendOptions(sessionId, req.body);
+    if (optionsError) return sendError(res, 404, 'QUOTED_MESSAGE_NOT_FOUND', optionsError);
+
+    let media;
+    try {
+      media = await resolveOutboundMedia(sessionId, type, req.file, req.body[type], req.body.mimetype);
+    } catch (e) {
+      if (!e.status) return sendInternalError(res, e);
+      return sendError(res, e.status, e.code, e.message);
+    }
+
+    const params = {
+      ...req.body,
+      [type]: media.path,
+      mimetype: media.mimetype,
+      filename: req.body.filename || req.file?.originalname || `file${mediaExtension(media.mimetype)}`
+    };
+    const { content, error } = buildMessageContent(type, params);
+    if (error) {
+      await fs.remove(media.path);
+      return sendValidationError(res, error);
+    }
+
+    try {
+      const job = await enqueueMessage(sessionId, jid, content, { outboxFile: media.path }, options);
+      return res.status(202).json({ ...jobResponse(job), mimetype: media.mimetype, size: media.size });
+    } catch (e) {
+      await fs.remove(media.path).catch(() => {});
+      return sendInternalError(res, e);
+    }
+  };
+}
+
+// Content for messages that don't come through a send route (schedules, campaigns, callback replies).
+// Media is fetched and checked like an upload into the outbox, so a source is never read off this server.
+// Returns { content, outboxFile }; the caller removes outboxFile if the message isn't queued.
+async function buildOutboundContent(sessionId, type, params = {}) {
+  let media = null;
+  if (OUTBOUND_MEDIA[type]) {
+    media = await resolveOutboundMedia(sessionId, type, null, params[type], params.mimetype);
+    params = {
+      ...params,
+      [type]: media.path,
+      mimetype: media.mimetype,
+      filename: params.filename || `file${mediaExtension(media.mimetype)}`
+    };
+  }
+
+  const { content, error } = buildMessageContent(type, params);
+  if (error) {
+    if (media) await fs.remove(media.path).catch(() => {});
+    const err = new Error(error);
+    err.status = 400;
+    err.code = 'VALIDATION_ERROR';
+    throw err;
+  }
+  return { content, outboxFile: media?.path || null };
+}
+
+// ✅ Send queue (store in auth/<sessionId>/queue.json)
+async function loadSendQueue(sessionId) {
+  if (sendQueues[sessionId]) return sendQueues[sessionId];
+
+  const authPath = path.join(AUTH_DIR, sessionId);
+  let jobs = [];
+  let settings = {};
+  try {
+    const queuePath = path.join(authPath, 'queue.json');
+    if (fs.existsSync(queuePath)) jobs = await fs.readJson(queuePath);
+
+    const settingsPath = path.join(authPath, 'queueSettings.json');
+    if (fs.existsSync(settingsPath)) settings = await fs.readJson(settingsPath);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading send queue');
+  }
+
+  // Jobs interrupted mid-send by a restart go back in line
+  for (const job of jobs) {
+    if (job.status === 'sending') job.status = 'queued';
+  }
+
+  const pending = jobs.filter(j => j.status === 'queued').length;
+  if (pending > 0) sessionLog(sessionId).info(`Loaded ${pending} queued jobs`);
+
+  sendQueues[sessionId] = jobs;
+  queueSettings[sessionId] = { ...QUEUE_DEFAULTS, ...settings };
+  return jobs;
+}
+
+function saveSendQueue(sessionId) {
+  scheduleSave(`queue:${sessionId}`, async () => {
+    const jobs = sendQueues[sessionId] || [];
+
+    // Keep every pending job, but only the newest finished ones
+    const finished = jobs.filter(j => ['sent', 'failed', 'cancelled'].includes(j.status));
+    if (finished.length > QUEUE_HISTORY_LIMIT) {
+      const drop = new Set(finished.slice(0, finished.length - QUEUE_HISTORY_LIMIT));
+      sendQueues[sessionId] = jobs.filter(j => !drop.has(j));
+    }
+
+    const filePath = path.join(AUTH_DIR, sessionId, 'queue.json');
+    await fs.outputJson(filePath, sendQueues[sessionId]);
+  }, 250);
+}
+
+async function enqueueMessage(sessionId, jid, content, meta = null, options = null) {
+  // Retracting a message is not messaging the recipient, so deletes are let through
+  if (!options?.transactional && !content.delete) await assertNotSuppressed(sessionId, jid);
+  await consumeQuota(sessionId, 'message', { jid, type: metricContentType(content) });
+
+  const jobs = await loadSendQueue(sessionId);
+  const now = new Date().toISOString();
+
+  const job = {
+    id: crypto.randomUUID(),
+    to: jid,
+    content,
+    meta,
+    options,
+    status: 'queued',
+    // Pre-assigned so callers get the WhatsApp message ID right away
+    messageId: generateMessageID(),
+    attempts: 0,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+
+  jobs.push(job);
+  saveSendQueue(sessionId);
+  await loadMessageStatuses(sessionId);
+  updateMessageStatus(sessionId, job.messageId, 'pending', { to: jid, jobId: job.id });
+  drainQueue(sessionId);
+  return job;
+}
+
+// Send options shared by all send routes (quotedMessageId, typing, transactional)
+async function buildSendOptions(sessionId, body) {
+  const options = {};
+  if (body.quotedMessageId) {
+    if (!(await findStoredMessage(sessionId, body.quotedMessageId))) {
+      return { error: 'quotedMessageId not found' };
+    }
+    options.quotedMessageId = body.quotedMessageId;
+  }
+  // Show "typing…" before the message goes out
+  if (body.typing === true || body.typing === 'true') options.typing = true;
+  if (body.transactional === true || body.transactional === 'true') options.transactional = true;
+  return { options: Object.keys(options).length ? options : null };
+}
+
+function findJob(sessionId, jobId) {
+  return (sendQueues[sessionId] || []).find(j => j.id === jobId) || null;
+}
+
+function jobResponse(job) {
+  return { success: true, jobId: job.id, messageId: job.messageId, status: job.status };
+}
+
+function queueDelay(settings) {
+  const base = 60000 / Math.max(settings.ratePerMinute, 1);
+  const jitter = (Math.random() * 2 - 1) * settings.jitterMs;
+  return Math.max(base + jitter, 0);
+}
+
+// ✅ Typing simulation (time grows with the length of the text)
+function typingDuration(text) {
+  const length = (text || '').length;
+  return Math.min(Math.max(length * TYPING_MS_PER_CHAR, TYPING_MIN_MS), TYPING_MAX_MS);
+}
+
+async function simulateTyping(sock, jid, text) {
+  try {
+    await sock.sendPresenceUpdate('composing', jid);
+    await new Promise(r => setTimeout(r, typingDuration(text)));
+    await sock.sendPresenceUpdate('paused', jid);
+  } catch (err) {
+    // Typing is cosmetic; never block the send on it
+    sessionLog(sock.sessionId).warn({ err, jid }, 'Typing indicator failed');
+  }
+}
+
+// Sends queued jobs one at a time while the socket is connected.
+// Called on enqueue and on connection open; only one worker per session.
+async function drainQueue(sessionId) {
+  if (queueWorkers[sessionId]) return;
+  queueWorkers[sessionId] = true;
+
+  try {
+    while (true) {
+      const sock = sockets[sessionId];
+      if (!sock?.isConnected) break;
+
+      const job = (sendQueues[sessionId] || []).find(j =>
+        j.status === 'queued' && (!j.retryAt || j.retryAt <= Date.now())
+      );
+      if (!job) {
+        scheduleQueueRetry(sessionId);
+        break;
+      }
+
+      // The recipient may have opted out since the job was queued
+      if (!job.options?.transactional && !job.content.delete && await isSuppressed(sessionId, job.to)) {
+        metrics.suppressedSends.inc({ sessionId });
+        job.status = 'failed';
+        job.error = 'Recipient opted out';
+        job.errorCode = 'RECIPIENT_SUPPRESSED';
+        job.updatedAt = new Date().toISOString();
+        delete job.retryAt;
+        saveSendQueue(sessionId);
+        handleJobFinished(sessionId, job);
+        sessionLog(sessionId).info(`Job ${job.id} dropped, recipient opted out`);
+        continue;
+      }
+
+      const settings = queueSettings[sessionId] || QUEUE_DEFAULTS;
+      job.status = 'sending';
+      job.attempts += 1;
+      job.updatedAt = new Date().toISOString();
+
+      try {
+        const sendOptions = { messageId: job.messageId };
+        const quoted = job.options?.quotedMessageId && messageStores[sessionId]?.get(job.options.quotedMessageId);
+        if (quoted) {
+          sendOptions.quoted = { key: quoted.key, message: await getStoredMessage(sessionId, quoted.key) };
+        }
+
+        if (job.options?.typing) await simulateTyping(sock, job.to, job.content.text || job.content.caption);
+
+        const sent = await sock.sendMessage(job.to, job.content, sendOptions);
+        metrics.messages.inc({ sessionId, direction: 'out', type: metricContentType(job.content) });
+        job.status = 'sent';
+        job.messageId = sent?.key?.id || job.messageId;
+        job.sentAt = new Date().toISOString();
+        job.error = null;
+        delete job.retryAt;
+      } catch (err) {
+        metrics.sendErrors.inc({ sessionId });
+        job.error = err.message;
+        if (job.attempts < settings.maxAttempts) {
+          const delay = 5000 * job.attempts;
+          job.status = 'queued';
+          job.retryAt = Date.now() + delay;
+          sessionLog(sessionId).warn({ err }, `Job ${job.id} failed (attempt ${job.attempts}), retrying`);
+        } else {
+          job.status = 'failed';
+          sessionLog(sessionId).error({ err }, `Job ${job.id} failed`);
+        }
+      }
+
+      job.updatedAt = new Date().toISOString();
+      saveSendQueue(sessionId);
+      if (job.status !== 'queued') handleJobFinished(sessionId, job);
+
+      await new Promise(r => setTimeout(r, queueDelay(settings)));
+    }
+  } finally {
+    queueWorkers[sessionId] = false;
+  }
+}
+
+// Wakes the queue for the earliest job waiting on a retry, including ones loaded after a restart
+function scheduleQueueRetry(sessionId) {
+  clearTimeout(queueRetryTimers[sessionId]);
+  delete queueRetryTimers[sessionId];
+
+  const retryAt = Math.min(...(sendQueues[sessionId] || [])
+    .filter(j => j.status === 'queued' && j.retryAt)
+    .map(j => j.retryAt));
+  if (!Number.isFinite(retryAt)) return;
+
+  queueRetryTimers[sessionId] = setTimeout(() => {
+    delete queueRetryTimers[sessionId];
+    drainQueue(sessionId);
+  }, Math.max(0, retryAt - Date.now()));
+}
+
+// Called once a job is sent or has failed for good
+function handleJobFinished(sessionId, job) {
+  if (job.status === 'failed') updateMessageStatus(sessionId, job.messageId, 'failed', { error: job.error });
+  if (job.meta?.campaignId) updateCampaignRecipient(sessionId, job);
+  if (job.meta?.outboxFile) fs.remove(job.meta.outboxFile).catch(() => {});
+}
+
+// ✅ Broadcast campaigns (store in auth/<sessionId>/campaigns/<campaignId>.json)
+const CAMPAIGN_TEMPLATE_TYPES = ['text', 'image', 'document'];
+
+function renderTemplate(template, variables) {
+  if (!template) return template;
+  return template.replace(/{{\s*([\w.-]+)\s*}}/g, (_, name) => variables?.[name] ?? '');
+}
+
+// Message fields for buildOutboundContent; the rendered url is fetched like an upload, never read as a local path
+function renderCampaignMessage(template, variables) {
+  switch (template.type) {
+    case 'image':
+      return {
+        image: renderTemplate(template.url, variables),
+        caption: renderTemplate(template.caption || '', variables)
+      };
+    case 'document':
+      return {
+        document: renderTemplate(template.url, variables),
+        filename: renderTemplate(template.filename, variables),
+        mimetype: template.mimetype,
+        caption: renderTemplate(template.caption || '', variables)
+      };
+    default:
+      return { text: renderTemplate(template.text, variables) };
+  }
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(r => r.some(f => f.trim() !== ''));
+  if (!header) return [];
+  const keys = header.map(h => h.trim());
+  return records.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+function buildCampaignRecipients(list) {
+  const seen = new Set();
+  return list.map(entry => {
+    const variables = typeof entry === 'object' && entry !== null ? { ...entry } : { number: entry };
+    const number = String(variables.number ?? variables.phone ?? '');
+    const jid = formatNumber(number);
+
+    let status = 'pending';
+    let error = null;
+    if (!jid) {
+      status = 'invalid';
+      error = 'Invalid phone number';
+    } else if (seen.has(jid)) {
+      status = 'invalid';
+      error = 'Duplicate recipient';
+    }
+    if (jid) seen.add(jid);
+
+    return { number, jid, variables, status, error, jobId: null, messageId: null, delivery: null, updatedAt: null };
+  });
+}
+
+function campaignCounts(campaign) {
+  const counts = { total: campaign.recipients.length, pending: 0, queued: 0, sent: 0, failed: 0, invalid: 0, suppressed: 0, cancelled: 0, delivered: 0, read: 0 };
+  for (const r of campaign.recipients) {
+    counts[r.status] += 1;
+    if (r.delivery === 'delivered' || r.delivery === 'read') counts.delivered += 1;
+    if (r.delivery === 'read') counts.read += 1;
+  }
+  return counts;
+}
+
+function campaignSummary(campaign) {
+  const { recipients, ...summary } = campaign;
+  return { ...summary, counts: campaignCounts(campaign) };
+}
+
+async function loadCampaigns(sessionId) {
+  if (campaigns[sessionId]) return campaigns[sessionId];
+
+  const list = new Map();
+  const index = new Map();
+  const dir = path.join(AUTH_DIR, sessionId, 'campaigns');
+  try {
+    if (fs.existsSync(dir)) {
+      for (const file of await fs.readdir(dir)) {
+        if (!file.endsWith('.json')) continue;
+        const campaign = await fs.readJson(path.join(dir, file));
+        list.set(campaign.id, campaign);
+        campaign.recipients.forEach((r, i) => {
+          if (r.messageId) index.set(r.messageId, { campaignId: campaign.id, index: i });
+        });
+      }
+    }
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading campaigns');
+  }
+
+  campaigns[sessionId] = list;
+  campaignMessageIndex[sessionId] = index;
+
+  for (const campaign of list.values()) {
+    if (campaign.status === 'scheduled') scheduleCampaign(sessionId, campaign);
+    if (campaign.status === 'running') runCampaign(sessionId, campaign.id);
+  }
+  return list;
+}
+
+function saveCampaign(sessionId, campaign) {
+  campaign.updatedAt = new Date().toISOString();
+  scheduleSave(`campaign:${sessionId}:${campaign.id}`, async () => {
+    const filePath = path.join(AUTH_DIR, sessionId, 'campaigns', `${campaign.id}.json`);
+    await fs.outputJson(filePath, campaign);
+  });
+}
+
+function scheduleCampaign(sessionId, campaign) {
+  const key = `${sessionId}:${campaign.id}`;
+  clearTimeout(campaignTimers[key]);
+
+  // setTimeout overflows past ~24.8 days, so long waits re-check on wake
+  const delay = Math.min(Math.max(Date.parse(campaign.startAt) - Date.now(), 0), 2 ** 31 - 1);
+  campaignTimers[key] = setTimeout(() => {
+    delete campaignTimers[key];
+    if (campaign.status !== 'scheduled') return;
+    if (Date.parse(campaign.startAt) > Date.now()) return scheduleCampaign(sessionId, campaign);
+
+    campaign.status = 'running';
+    campaign.startedAt = new Date().toISOString();
+    saveCampaign(sessionId, campaign);
+    sessionLog(sessionId).info(`Campaign ${campaign.id} started`);
+    runCampaign(sessionId, campaign.id);
+  }, delay);
+}
+
+function completeCampaignIfDone(sessionId, campaign) {
+  if (campaign.status !== 'running') return;
+  if (campaign.recipients.some(r => r.status === 'pending' || r.status === 'queued')) return;
+
+  campaign.status = 'completed';
+  campaign.completedAt = new Date().toISOString();
+  saveCampaign(sessionId, campaign);
+  sessionLog(sessionId).info(`Campaign ${campaign.id} completed`);
+}
+
+// Validates and feeds recipients into the send queue at the campaign's rate.
+// Stops when paused/cancelled; retries later while the socket is down.
+async function runCampaign(sessionId, campaignId) {
+  const key = `${sessionId}:${campaignId}`;
+  if (campaignRunners.has(key)) return;
+  campaignRunners.add(key);
+
+  const retryLater = () => setTimeout(() => runCampaign(sessionId, campaignId), 10000);
+
+  try {
+    while (true) {
+      const campaign = campaigns[sessionId]?.get(campaignId);
+      if (!campaign || campaign.status !== 'running') break;
+
+      const recipient = campaign.recipients.find(r => r.status === 'pending');
+      if (!recipient) {
+        completeCampaignIfDone(sessionId, campaign);
+        break;
+      }
+
+      const sock = sockets[sessionId];
+      if (!sock?.isConnected) {
+        retryLater();
+        break;
+      }
+
+      if (await isSuppressed(sessionId, recipient.jid)) {
+        recipient.status = 'suppressed';
+        recipient.error = 'Recipient opted out';
+        recipient.updatedAt = new Date().toISOString();
+        saveCampaign(sessionId, campaign);
+        continue;
+      }
+
+      try {
+        const [result] = await sock.onWhatsApp(recipient.jid);
+        if (!result?.exists) {
+          recipient.status = 'invalid';
+          recipient.error = 'Not on WhatsApp';
+          recipient.updatedAt = new Date().toISOString();
+          saveCampaign(sessionId, campaign);
+          continue;
+        }
+        recipient.jid = result.jid || recipient.jid;
+      } catch (err) {
+        sessionLog(sessionId).warn({ err }, `Campaign ${campaignId} number check failed`);
+        retryLater();
+        break;
+      }
+
+      const message = renderCampaignMessage(campaign.template, { ...recipient.variables, number: recipient.number });
+      let job;
+      let outboxFile = null;
+      try {
+        const built = await buildOutboundContent(sessionId, campaign.template.type, message);
+        outboxFile = built.outboxFile;
+        job = await enqueueMessage(sessionId, recipient.jid, built.content, { campaignId, outboxFile });
+      } catch (err) {
+        if (outboxFile) await fs.remove(outboxFile).catch(() => {});
+        if (err.code === 'QUOTA_EXCEEDED') {
+          // Picks up where it left off once the quota resets
+          sessionLog(sessionId).info(`Campaign ${campaignId} waiting for quota ${err.details.quota}, resets at ${err.details.resetAt}`);
+          setTimeout(() => runCampaign(sessionId, campaignId), Date.parse(err.details.resetAt) - Date.now() + 1000);
+          break;
+        }
+        // e.g. the recipient opted out while their number was being checked
+        recipient.status = err.code === 'RECIPIENT_SUPPRESSED' ? 'suppressed' : 'failed';
+        recipient.error = err.message;
+        recipient.updatedAt = new Date().toISOString();
+        saveCampaign(sessionId, campaign);
+        sessionLog(sessionId).warn({ err }, `Campaign ${campaignId} could not queue ${recipient.number}`);
+        continue;
+      }
+
+      recipient.status = 'queued';
+      recipient.jobId = job.id;
+      recipient.messageId = job.messageId;
+      recipient.updatedAt = new Date().toISOString();
+      campaignMessageIndex[sessionId].set(job.messageId, { campaignId, index: campaign.recipients.indexOf(recipient) });
+      saveCampaign(sessionId, campaign);
+
+      await new Promise(r => setTimeout(r, 60000 / campaign.ratePerMinute));
+    }
+  } finally {
+    campaignRunners.delete(key);
+  }
+}
+
+function updateCampaignRecipient(sessionId, job) {
+  const entry = campaignMessageIndex[sessionId]?.get(job.messageId);
+  const campaign = entry && campaigns[sessionId]?.get(entry.campaignId);
+  if (!campaign) return;
+
+  const recipient = campaign.recipients[entry.index];
+  recipient.status = job.errorCode === 'RECIPIENT_SUPPRESSED' ? 'suppressed' : job.status;
+  recipient.error = job.error;
+  recipient.updatedAt = new Date().toISOString();
+  saveCampaign(sessionId, campaign);
+  completeCampaignIfDone(sessionId, campaign);
+}
+
+function updateCampaignDelivery(sessionId, messageId, status) {
+  const entry = campaignMessageIndex[sessionId]?.get(messageId);
+  const campaign = entry && campaigns[sessionId]?.get(entry.campaignId);
+  if (!campaign) return;
+
+  const recipient = campaign.recipients[entry.index];
+  const delivery = status >= proto.WebMessageInfo.Status.READ ? 'read'
+    : status >= proto.WebMessageInfo.Status.DELIVERY_ACK ? 'delivered'
+      : null;
+  if (!delivery || recipient.delivery === 'read') return;
+
+  recipient.delivery = delivery;
+  recipient.updatedAt = new Date().toISOString();
+  saveCampaign(sessionId, campaign);
+}
+
+// ✅ Scheduled messages (store in auth/<sessionId>/schedules.json)
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Offset (ms) of a time zone from UTC at the given instant
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// "2026-01-05T09:00" + "Asia/Kolkata" -> UTC ms. Values with Z/offset are used as-is.
+function parseScheduleTime(value, timeZone) {
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return Date.parse(value);
+
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+  if (!m) return NaN;
+
+  const wallClock = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  const offset = timeZoneOffset(wallClock, timeZone);
+  const utc = wallClock - offset;
+  // Re-check once in case the guess landed on the other side of a DST change
+  const corrected = timeZoneOffset(utc, timeZone);
+  return corrected === offset ? utc : wallClock - corrected;
+}
+
+function nextCronRun(cron, timeZone, after) {
+  return cronParser.parseExpression(cron, { currentDate: new Date(after), tz: timeZone }).next().getTime();
+}
+
+// Validates schedule input and returns the normalized fields or { error }
+function normalizeSchedule(input) {
+  const { to, type, message, sendAt, cron } = input;
+  const timezone = input.timezone || 'UTC';
+  const missedRunPolicy = input.missedRunPolicy || SCHEDULE_MISSED_RUN_POLICY;
+
+  const jid = formatRecipient(to || '');
+  if (!jid) return { error: 'Invalid phone number or group JID' };
+
+  const error = validateMessageFields(type, message) || buildMessageContent(type, message).error;
+  if (error) return { error };
+
+  if (!isValidTimeZone(timezone)) return { error: `Unknown timezone: ${timezone}` };
+  if (!['run', 'skip'].includes(missedRunPolicy)) return { error: 'missedRunPolicy must be "run" or "skip"' };
+  if (!sendAt === !cron) return { error: 'Provide either sendAt or cron' };
+
+  let nextRunAt;
+  if (cron) {
+    try {
+      nextRunAt = nextCronRun(cron, timezone, Date.now());
+    } catch (err) {
+      return { error: `Invalid cron expression: ${err.message}` };
+    }
+  } else {
+    nextRunAt = parseScheduleTime(String(sendAt), timezone);
+    if (Number.isNaN(nextRunAt)) return { error: 'sendAt must be an ISO date/time' };
+  }
+
+  return {
+    to,
+    jid,
+    type,
+    message,
+    sendAt: sendAt || null,
+    cron: cron || null,
+    timezone,
+    missedRunPolicy,
+    transactional: input.transactional === true || input.transactional === 'true',
+    nextRunAt: new Date(nextRunAt).toISOString()
+  };
+}
+
+async function loadSchedules(sessionId) {
+  if (schedules[sessionId]) return schedules[sessionId];
+
+  let list = [];
+  try {
+    const filePath = path.join(AUTH_DIR, sessionId, 'schedules.json');
+    if (fs.existsSync(filePath)) list = await fs.readJson(filePath);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading schedules');
+  }
+
+  schedules[sessionId] = list;
+  return list;
+}
+
+async function saveSchedules(sessionId) {
+  const filePath = path.join(AUTH_DIR, sessionId, 'schedules.json');
+  await fs.outputJson(filePath, schedules[sessionId] || [], { spaces: 2 });
+}
+
+// Due schedules are handed to the send queue, which holds them until the
+// socket is connected, so a late reconnect still gets the message out.
+async function runDueSchedules() {
+  const now = Date.now();
+
+  for (const [sessionId, list] of Object.entries(schedules)) {
+    let changed = false;
+
+    for (const schedule of list) {
+      if (schedule.status !== 'active' || Date.parse(schedule.nextRunAt) > now) continue;
+
+      let retryAt = null;
+      let failed = false;
+      const missed = now - Date.parse(schedule.nextRunAt) > SCHEDULE_GRACE_MS;
+      if (missed && schedule.missedRunPolicy === 'skip') {
+        sessionLog(sessionId).info(`Skipping missed run of schedule ${schedule.id}`);
+        schedule.missedRuns = (schedule.missedRuns || 0) + 1;
+      } else {
+        let outboxFile = null;
+        try {
+          const built = await buildOutboundContent(sessionId, schedule.type, schedule.message);
+          outboxFile = built.outboxFile;
+          const options = schedule.transactional ? { transactional: true } : null;
+          const job = await enqueueMessage(sessionId, schedule.jid, built.content, { scheduleId: schedule.id, outboxFile }, options);
+          schedule.lastJobId = job.id;
+          schedule.lastMessageId = job.messageId;
+          schedule.lastError = null;
+          schedule.runCount = (schedule.runCount || 0) + 1;
+          sessionLog(sessionId).info(`Schedule ${schedule.id} fired`);
+        } catch (err) {
+          if (outboxFile) await fs.remove(outboxFile).catch(() => {});
+          schedule.lastError = err.message;
+          sessionLog(sessionId).error({ err }, `Schedule ${schedule.id} failed`);
+          // A one-time message over quota waits for the quota instead of being dropped
+          if (err.code === 'QUOTA_EXCEEDED' && !schedule.cron) retryAt = err.details.resetAt;
+          else failed = true;
+        }
+      }
+
+      schedule.lastRunAt = new Date(now).toISOString();
+      if (retryAt) {
+        schedule.nextRunAt = retryAt;
+      } else if (schedule.cron) {
+        schedule.nextRunAt = new Date(nextCronRun(schedule.cron, schedule.timezone, now)).toISOString();
+      } else {
+        schedule.status = failed ? 'failed' : missed && schedule.missedRunPolicy === 'skip' ? 'missed' : 'completed';
+        schedule.nextRunAt = null;
+      }
+      schedule.updatedAt = new Date().toISOString();
+      changed = true;
+    }
+
+    if (changed) {
+      try {
+        await saveSchedules(sessionId);
+      } catch (err) {
+        sessionLog(sessionId).error({ err }, 'Error saving schedules');
+      }
+    }
+  }
+}
+
+// ✅ Webhooks (store in auth/<sessionId>/webhooks.json)
+async function loadWebhooks(sessionId) {
+  const authPath = path.join(AUTH_DIR, sessionId);
+  try {
+    const webhooksPath = path.join(authPath, 'webhooks.json');
+    webhooks[sessionId] = fs.existsSync(webhooksPath) ? await fs.readJson(webhooksPath) : [];
+
+    const deadLettersPath = path.join(authPath, 'webhookDeadLetters.json');
+    webhookDeadLetters[sessionId] = fs.existsSync(deadLettersPath) ? await fs.readJson(deadLettersPath) : [];
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading webhooks');
+    webhooks[sessionId] = webhooks[sessionId] || [];
+    webhookDeadLetters[sessionId] = webhookDeadLetters[sessionId] || [];
+  }
+}
+
+async function saveWebhooks(sessionId) {
+  const filePath = path.join(AUTH_DIR, sessionId, 'webhooks.json');
+  await fs.outputJson(filePath, webhooks[sessionId] || [], { spaces: 2 });
+}
+
+async function saveWebhookDeadLetters(sessionId) {
+  const filePath = path.join(AUTH_DIR, sessionId, 'webhookDeadLetters.json');
+  await fs.outputJson(filePath, webhookDeadLetters[sessionId] || [], { spaces: 2 });
+}
+
+function normalizeWebhookData(event, data) {
+  switch (event) {
+    case 'messages.upsert':
+      return { type: data.type, messages: (data.messages || []).map(normalizeMessage) };
+    case 'connection.update': {
+      const { connection, lastDisconnect, qr, isNewLogin, receivedPendingNotifications } = data;
+      return {
+        connection: connection || null,
+        qr: !!qr,
+        isNewLogin: isNewLogin || false,
+        receivedPendingNotifications: receivedPendingNotifications || false,
+        statusCode: lastDisconnect ? new Boom(lastDisconnect.error)?.output?.statusCode : null,
+        reason: lastDisconnect?.error?.message || null
+      };
+    }
+    default:
+      return toJsonSafe(data);
+  }
+}
+
+function signWebhookPayload(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+async function deliverWebhook(sessionId, webhook, payload, attempt = 1) {
+  const body = JSON.stringify(payload);
+  try {
+    await axios.post(webhook.url, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Delivery': payload.id,
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(webhook.secret, body)}`
+      }
+    });
+  } catch (err) {
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      // Exponential backoff: base, 2x base, 4x base...
+      const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+      sessionLog(sessionId).warn({ err }, `Webhook ${webhook.id} failed (attempt ${attempt}), retrying in ${delay}ms`);
+      setTimeout(() => deliverWebhook(sessionId, webhook, payload, attempt + 1), delay);
+      return;
+    }
+
+    sessionLog(sessionId).error({ err }, `Webhook ${webhook.id} failed after ${attempt} attempts`);
+    const deadLetters = webhookDeadLetters[sessionId] = webhookDeadLetters[sessionId] || [];
+    deadLetters.push({
+      id: payload.id,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event: payload.event,
+      attempts: attempt,
+      error: err.response ? `HTTP ${err.response.status}` : err.message,
+      failedAt: new Date().toISOString(),
+      payload
+    });
+    if (deadLetters.length > WEBHOOK_DEAD_LETTER_LIMIT) {
+      deadLetters.splice(0, deadLetters.length - WEBHOOK_DEAD_LETTER_LIMIT);
+    }
+    try {
+      await saveWebhookDeadLetters(sessionId);
+    } catch (e) {
+      sessionLog(sessionId).error({ err: e }, 'Error saving webhook dead letters');
+    }
+  }
+}
+
+// ✅ Conversation flows (config in flows.json, per-chat state in flowStates.json)
+// Automatic replies (rules, flows) to opted-out contacts are dropped rather than failing
+async function sendReply(sessionId, jid, content, options, { transactional = false } = {}) {
+  const sock = sockets[sessionId];
+  if (!sock?.isConnected) return null;
+  if (!transactional && await isSuppressed(sessionId, jid)) {
+    metrics.suppressedSends.inc({ sessionId });
+    sessionLog(sessionId).debug({ to: jid }, 'Reply to opted-out contact suppressed');
+    return null;
+  }
+  try {
+    await consumeQuota(sessionId, 'message', { jid, type: metricContentType(content) });
+  } catch (err) {
+    if (err.code !== 'QUOTA_EXCEEDED') throw err;
+    sessionLog(sessionId).warn({ to: jid, ...err.details }, 'Reply dropped, quota exceeded');
+    return null;
+  }
+  try {
+    const sent = await sock.sendMessage(jid, content, options);
+    metrics.messages.inc({ sessionId, direction: 'out', type: metricContentType(content) });
+    return sent;
+  } catch (err) {
+    metrics.sendErrors.inc({ sessionId });
+    throw err;
+  }
+}
+
+// Returns an error message for an invalid flow definition, or null
+function validateFlow(flow) {
+  if (!flow.id) return 'Each flow must have an id';
+  if (!flow.nodes || typeof flow.nodes !== 'object') return `Flow ${flow.id}: nodes must be an object`;
+  if (!flow.nodes[flow.start]) return `Flow ${flow.id}: start node "${flow.start}" not found`;
+
+  const keywords = flow.trigger?.keywords;
+  if (!flow.trigger || (!Array.isArray(keywords) && !flow.trigger.regex)) {
+    return `Flow ${flow.id}: trigger needs keywords (array) or regex`;
+  }
+  if (flow.trigger.regex) {
+    try {
+      new RegExp(flow.trigger.regex, 'i');
+    } catch (err) {
+      return `Flow ${flow.id}: invalid trigger regex: ${err.message}`;
+    }
+  }
+  if (flow.scope !== undefined && !RULE_SCOPES.includes(flow.scope)) {
+    return `Flow ${flow.id}: scope must be one of: ${RULE_SCOPES.join(', ')}`;
+  }
+
+  for (const [nodeId, node] of Object.entries(flow.nodes)) {
+    const targets = [node.next, ...(node.input?.choices || []).map(c => c.next)].filter(Boolean);
+    const missing = targets.find(t => !flow.nodes[t]);
+    if (missing) return `Flow ${flow.id}: node "${nodeId}" points to missing node "${missing}"`;
+
+    if (!node.input) continue;
+    if (!FLOW_INPUT_TYPES.includes(node.input.type)) {
+      return `Flow ${flow.id}: node "${nodeId}" input.type must be one of: ${FLOW_INPUT_TYPES.join(', ')}`;
+    }
+    if (node.input.type === 'choice' && (!Array.isArray(node.input.choices) || node.input.choices.length === 0)) {
+      return `Flow ${flow.id}: node "${nodeId}" needs choices`;
+    }
+    if (node.input.type === 'regex') {
+      try {
+        new RegExp(node.input.pattern, 'i');
+      } catch (err) {
+        return `Flow ${flow.id}: node "${nodeId}" has an invalid pattern: ${err.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+async function loadFlowStates(sessionId) {
+  if (flowStates[sessionId]) return flowStates[sessionId];
+
+  let states = {};
+  try {
+    const filePath = path.join(AUTH_DIR, sessionId, 'flowStates.json');
+    if (fs.existsSync(filePath)) states = await fs.readJson(filePath);
+  } catch (err) {
+    sessionLog(sessionId).error({ err }, 'Error loading flow states');
+  }
+
+  flowStates[sessionId] = states;
+  return states;
+}
+
+function saveFlowStates(sessionId) {
+  scheduleSave(`flowStates:${sessionId}`, async () => {
+    const filePath = path.join(AUTH_DIR, sessionId, 'flowStates.json');
+    await fs.outputJson(filePath, flowStates[sessionId] || {}, { spaces: 2 });
+  });
+}
+
+// In groups each participant runs their own flow
+function flowStateKey(from, sender, isGroup) {
+  return isGroup ? `${from}|${sender}` : from;
+}
+
+function flowExpired(flow, state) {
+  const timeout = (flow.timeoutSeconds || FLOW_DEFAULT_TIMEOUT_SECONDS) * 1000;
+  return Date.parse(state.updatedAt) + timeout < Date.now();
+}
+
+function matchFlowTrigger(flow, text) {
+  if (!text) return false;
+  const cleaned = text.toLowerCase().trim();
+  if ((flow.trigger.keywords || []).some(k => String(k).toLowerCase().trim() === cleaned)) return true;
+  return !!flow.trigger.regex && new RegExp(flow.trigger.regex, 'i').test(text);
+}
+
+// Validates the reply for the current node; returns { value, next, vars } or null
+function readFlowInput(node, text, msg) {
+  const { input } = node;
+  const answer = (text || '').trim();
+
+  switch (input.type) {
+    case 'choice': {
+      const lower = answer.toLowerCase();
+      const index = input.choices.findIndex(c =>
+        [].concat(c.match ?? c.value ?? []).some(m => String(m).toLowerCase() === lower)
+      );
+      // Replying with the option number also works
+      const byNumber = /^\d+$/.test(answer) ? parseInt(answer, 10) - 1 : -1;
+      const choice = input.choices[index !== -1 ? index : byNumber];
+      return choice ? { value: choice.value ?? answer, next: choice.next } : null;
+    }
+    case 'regex': {
+      const match = answer.match(new RegExp(input.pattern, 'i'));
+      return match ? { value: match[0], vars: match.groups } : null;
+    }
+    case 'media': {
+      const media = getMediaContent(msg.message);
+      if (!media) return null;
+      return {
+        value: { messageId: msg.key.id, type: media.type, mimetype: media.media.mimetype || null, caption: text || null }
+      };
+    }
+    default:
+      return answer ? { value: answer } : null;
+  }
+}
+
+async function finishFlow(sessionId, flow, state, from) {
+  if (!flow.callback_url) return;
+  if (!(await tryCallbackQuota(sessionId))) return;
+
+  const endTimer = metrics.callbackDuration.startTimer({ sessionId, kind: 'flow' });
+  try {
+    const res = await axios.post(flow.callback_url, {
+      flowId: flow.id,
+      sessionId,
+      chat: from,
+      sender: state.sender,
+      variables: state.vars,
+      startedAt: state.startedAt,
+      completedAt: new Date().toISOString()
+    }, { timeout: CALLBACK_TIMEOUT_MS }).finally(endTimer);
+
+    if (typeof res.data === 'string' && res.data.trim()) {
+      await sendReply(sessionId, from, { text: res.data });
+    }
+  } catch (err) {
+    metrics.callbackFailures.inc({ sessionId, kind: 'flow' });
+    sessionLog(sessionId).error({ err }, `Flow ${flow.id} callback error`);
+  }
+}
+
+// Sends prompts from nodeId on until a node waits for input or the flow ends
+async function advanceFlow(sessionId, flow, state, key, from, nodeId) {
+  const states = flowStates[sessionId];
+
+  for (let steps = 0; nodeId && steps < 50; steps++) {
+    const node = flow.nodes[nodeId];
+    if (node.prompt) {
+      await sendReply(sessionId, from, { text: renderTemplate(node.prompt, state.vars) });
+    }
+
+    if (node.input && !node.end) {
+      state.nodeId = nodeId;
+      state.updatedAt = new Date().toISOString();
+      states[key] = state;
+      saveFlowStates(sessionId);
+      return;
+    }
+    if (node.end) break;
+    nodeId = node.next;
+  }
+
+  delete states[key];
+  saveFlowStates(sessionId);
+  sessionLog(sessionId).info(`Flow ${flow.id} finished for ${state.sender}`);
+  await finishFlow(sessionId, flow, state, from);
+}
+
+// Returns true when the message was handled by a flow (no other rules run)
+async function handleFlowMessage(sessionId, msg, { from, sender, isGroup, text }) {
+  const states = await loadFlowStates(sessionId);
+  const sessionFlows = flows[sessionId] || [];
+  const key = flowStateKey(from, sender, isGroup);
+
+  const state = states[key];
+  if (state) {
+    const flow = sessionFlows.find(f => f.id === state.flowId);
+    if (flow && !flowExpired(flow, state)) {
+      const node = flow.nodes[state.nodeId];
+      const result = node?.input && readFlowInput(node, text, msg);
+      if (!result) {
+        await sendReply(sessionId, from, { text: node?.retryPrompt || node?.prompt || 'Sorry, I did not understand that.' });
+        return true;
+      }
+
+      if (node.input.variable) state.vars[node.input.variable] = result.value;
+      Object.assign(state.vars, result.vars);
+      await advanceFlow(sessionId, flow, state, key, from, result.next || node.next);
+      return true;
+    }
+
+    // Timed out (or flow removed) - reset and treat as a fresh message
+    delete states[key];
+    saveFlowStates(sessionId);
+  }
+
+  const flow = sessionFlows.find(f => ruleApplies(f, isGroup) && matchFlowTrigger(f, text));
+  if (!flow) return false;
+
+  sessionLog(sessionId).info(`Flow ${flow.id} started for ${sender}`);
+  const now = new Date().toISOString();
+  await advanceFlow(sessionId, flow, { flowId: flow.id, sender, vars: {}, startedAt: now, updatedAt: now }, key, from, flow.start);
+  return true;
+}
+
+// Resets timed-out flows and tells the user, if the flow has a timeoutMessage
+async function expireFlows() {
+  for (const [sessionId, states] of Object.entries(flowStates)) {
+    // Flows load when the socket opens; until then a missing flow doesn't mean a deleted one
+    if (flows[sessionId] === undefined) continue;
+    for (const [key, state] of Object.entries(states)) {
+      const flow = flows[sessionId].find(f => f.id === state.flowId);
+      if (flow && !flowExpired(flow, state)) continue;
+
+      delete states[key];
+      saveFlowStates(sessionId);
+      if (flow?.timeoutMessage) {
+        await sendReply(sessionId, key.split('|')[0], { text: flow.timeoutMessage }).catch(() => {});
+      }
+    }
+  }
+}
+
+// ✅ Rule pipeline (rules.json plus the legacy autoReplies/regexTriggers/regexTriggersPro lists)
+// Rules run in ascending priority; a fired rule stops the pipeline unless stop is false.
+const RULE_MATCH_TYPES = ['keyword', 'regex', 'any'];
+const RULE_ACTION_TYPES = ['reply', 'callback'];
+const RULE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Short message type names usable in conditions.messageTypes
+const RULE_MESSAGE_TYPES = {
+  text: ['conversation', 'extendedTextMessage'],
+  image: ['imageMessage'],
+  video: ['videoMessage'],
+  audio: ['audioMessage'],
+  document: ['documentMessage', 'documentWithCaptionMessage'],
+  sticker: ['stickerMessage'],
+  location: ['locationMessage', 'liveLocationMessage'],
+  contact: ['contactMessage', 'contactsArrayMessage'],
+  poll: ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3']
+};
+
+// Where the legacy lists sit relative to rules.json priorities
+const LEGACY_RULE_PRIORITIES = { regexTriggersPro: 100, autoReplies: 200, regexTriggers: 300 };
+
+function parseClockTime(value) {
+  const m = /^(\d{2}):(\d{2})$/.exec(value || '');
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return +m[1] * 60 + +m[2];
+}
+
+function parseNumberList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(num => formatNumber(String(num).trim())).filter(Boolean);
+}
+
+// Returns an error message for an invalid rule, or null
+function validateRule(rule) {
+  const label = `Rule ${rule.id || rule.name || '(unnamed)'}`;
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) return `${label}: priority must be a number`;
+
+  const match = rule.match || {};
+  if (!RULE_MATCH_TYPES.includes(match.type)) return `${label}: match.type must be one of: ${RULE_MATCH_TYPES.join(', ')}`;
+  if (match.type === 'keyword' && !match.keyword) return `${label}: match.keyword is required`;
+  if (match.type === 'regex') {
+    try {
+      new RegExp(match.pattern, 'i');
+    } catch (err) {
+      return `${label}: invalid match.pattern: ${err.message}`;
+    }
+  }
+
+  const action = rule.action || {};
+  if (!RULE_ACTION_TYPES.includes(action.type)) return `${label}: action.type must be one of: ${RULE_ACTION_TYPES.join(', ')}`;
+  if (action.type === 'reply' && !action.text) return `${label}: action.text is required`;
+  if (action.type === 'callback') {
+    const error = validateCallbackOptions(action);
+    if (error) return `${label}: action.${error}`;
+  }
+
+  const conditions = rule.conditions || {};
+  if (conditions.scope !== undefined && !RULE_SCOPES.includes(conditions.scope)) {
+    return `${label}: conditions.scope must be one of: ${RULE_SCOPES.join(', ')}`;
+  }
+  const unknownType = (conditions.messageTypes || []).find(t => !RULE_MESSAGE_TYPES[t]);
+  if (unknownType) return `${label}: unknown message type "${unknownType}"`;
+
+  for (const window of conditions.timeWindows || []) {
+    if (parseClockTime(window.start) === null || parseClockTime(window.end) === null) {
+      return `${label}: time windows need start and end as HH:MM`;
+    }
+    if (window.timezone && !isValidTimeZone(window.timezone)) return `${label}: invalid timezone ${window.timezone}`;
+    if ((window.days || []).some(d => !RULE_DAYS.includes(String(d).toLowerCase()))) {
+      return `${label}: days must be from: ${RULE_DAYS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+function normalizeRule(rule) {
+  const conditions = rule.conditions || {};
+  return {
+    id: rule.id || crypto.randomUUID(),
+    name: rule.name || null,
+    priority: rule.priority ?? 1000,
+    enabled: rule.enabled !== false,
+    stop: rule.stop !== false,
+    match: rule.match,
+    action: rule.action,
+    conditions: {
+      scope: conditions.scope || 'all',
+      allowNumbers: parseNumberList(conditions.allowNumbers),
+      denyNumbers: parseNumberList(conditions.denyNumbers),
+      timeWindows: (conditions.timeWindows || []).map(w => ({
+        ...w,
+        days: w.days?.map(d => String(d).toLowerCase())
+      })),
+      messageTypes: conditions.messageTypes || []
+    }
+  };
+}
+
+// Turns the legacy per-kind lists into rules so they share one ordered pipeline
+function legacyRules(sessionId) {
+  const pro = (regexTriggersPro[sessionId] || []).map((t, i) => ({
+    id: `regexTriggersPro:${i}`,
+    source: 'regexTriggersPro',
+    name: t.name,
+    priority: LEGACY_RULE_PRIORITIES.regexTriggersPro,
+    match: { type: 'regex', pattern: t.regex },
+    action: { type: 'callback', ...callbackOptions(t) },
+    // A target_number without valid numbers matched nobody, unlike an empty custom allowNumbers
+    conditions: { scope: t.scope, allowNumbers: t.target_number, requireAllow: true }
+  }));
+
+  const replies = (autoReplies[sessionId] || []).map((r, i) => ({
+    id: `autoReplies:${i}`,
+    source: 'autoReplies',
+    name: r.keyword,
+    priority: LEGACY_RULE_PRIORITIES.autoReplies,
+    match: { type: 'keyword', keyword: r.keyword },
+    action: { type: 'reply', text: r.reply, delayMs: 1500, typing: r.typing === true },
+    conditions: { scope: r.scope }
+  }));
+
+  // Regex triggers used to pick the longest pattern among matches; ordering by
+  // pattern length keeps that behaviour
+  const triggers = (regexTriggers[sessionId] || [])
+    .map((t, i) => ({ t, i }))
+    .sort((a, b) => String(b.t.regex).length - String(a.t.regex).length)
+    .map(({ t, i }) => ({
+      id: `regexTriggers:${i}`,
+      source: 'regexTriggers',
+      name: t.name,
+      priority: LEGACY_RULE_PRIORITIES.regexTriggers,
+      match: { type: 'regex', pattern: t.regex },
+      action: { type: 'callback', ...callbackOptions(t) },
+      conditions: { scope: t.scope }
+    }));
+
+  return [...pro, ...replies, ...triggers].map((r) => {
+    const rule = { ...normalizeRule(r), source: r.source };
+    if (r.conditions.requireAllow) rule.conditions.requireAllow = true;
+    return rule;
+  });
+}
+
+// Every rule for a session in evaluation order (sort is stable, so list order breaks ties)
+function sessionRules(sessionId) {
+  const custom = (rules[sessionId] || []).map(r => ({ ...r, source: 'rules' }));
+  return [...custom, ...legacyRules(sessionId)].sort((a, b) => a.priority - b.priority);
+}
+
+async function loadRuleConfigs(sessionId) {
+  const authPath = path.join(AUTH_DIR, sessionId);
+  const files = [
+    [autoReplies, 'autoReplies.json'],
+    [regexTriggers, 'regexTriggers.json'],
+    [regexTriggersPro, 'regexTriggersPro.json'],
+    [rules, 'rules.json'],
+    [flows, 'flows.json']
+  ];
+
+  for (const [store, file] of files) {
+    const filePath = path.join(authPath, file);
+    if (fs.existsSync(filePath)) {
+      store[sessionId] = await fs.readJson(filePath);
+      sessionLog(sessionId).info(`Loaded ${file}`);
+    } else {
+      store[sessionId] = [];
+    }
+  }
+}
+
+function inTimeWindow(window, timestamp) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: window.timezone || 'UTC',
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parts.find(p => p.type === type).value;
+  const day = get('weekday').toLowerCase();
+  const minutes = parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10);
+
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  // Windows like 22:00-06:00 run past midnight and belong to the day they start on
+  if (start <= end) {
+    return (!window.days || window.days.includes(day)) && minutes >= start && minutes < end;
+  }
+  if (minutes >= start) return !window.days || window.days.includes(day);
+  const previousDay = RULE_DAYS[(RULE_DAYS.indexOf(day) + 6) % 7];
+  return minutes < end && (!window.days || window.days.includes(previousDay));
+}
+
+// Returns why a rule's conditions don't hold for the message, or null
+function ruleConditionFailure(rule, message) {
+  const { conditions } = rule;
+  if (!ruleApplies(conditions, message.isGroup)) return `scope is ${conditions.scope}`;
+  if ((conditions.allowNumbers.length || conditions.requireAllow) && !conditions.allowNumbers.includes(message.sender)) {
+    return 'sender not in allowNumbers';
+  }
+  if (conditions.denyNumbers.includes(message.sender)) return 'sender in denyNumbers';
+  if (conditions.messageTypes.length &&
+    !conditions.messageTypes.some(t => RULE_MESSAGE_TYPES[t].includes(message.messageType))) {
+    return `message type ${message.messageType} not allowed`;
+  }
+  if (conditions.timeWindows.length && !conditions.timeWindows.some(w => inTimeWindow(w, message.timestamp))) {
+    return 'outside time windows';
+  }
+  return null;
+}
+
+// Returns { keyword, groups } when the rule's matcher accepts the text, or null
+function matchRule(rule, text) {
+  const { match } = rule;
+  if (match.type === 'any') return { keyword: text || null, groups: {} };
+  if (!text) return null;
+
+  if (match.type === 'keyword') {
+    const cleanedText = text.toLowerCase().trim().replace(/[^a-z0-9]/gi, '');
+    const cleanedKeyword = String(match.keyword).toLowerCase().replace(/[^a-z0-9]/gi, '');
+    return cleanedText === cleanedKeyword ? { keyword: text, groups: {} } : null;
+  }
+
+  const result = text.match(new RegExp(match.pattern, 'i'));
+  return result ? { keyword: result[0], groups: { ...result.groups }, captures: result.slice(1) } : null;
+}
+
+// Walks the rule list for a message; returns the rules that fire and a trace of every rule looked at
+function evaluateRules(sessionId, message) {
+  const fired = [];
+  const trace = [];
+
+  for (const rule of sessionRules(sessionId)) {
+    const entry = { id: rule.id, name: rule.name, source: rule.source, priority: rule.priority };
+    trace.push(entry);
+
+    if (!rule.enabled) {
+      entry.result = 'skipped';
+      entry.reason = 'disabled';
+      continue;
+    }
+
+    const failure = ruleConditionFailure(rule, message);
+    if (failure) {
+      entry.result = 'skipped';
+      entry.reason = failure;
+      continue;
+    }
+
+    let match;
+    try {
+      match = matchRule(rule, message.text);
+    } catch (err) {
+      entry.result = 'skipped';
+      entry.reason = `invalid pattern: ${err.message}`;
+      continue;
+    }
+    if (!match) {
+      entry.result = 'no-match';
+      continue;
+    }
+
+    entry.result = 'fired';
+    fired.push({ rule, match });
+    if (rule.stop) break;
+  }
+
+  return { fired, trace };
+}
+
+// Callback settings shared by regexTriggers, regexTriggersPro and callback rules
+function callbackOptions(trigger) {
+  const options = { callback_url: trigger.callback_url };
+  for (const field of ['timeout_ms', 'retries', 'secret', 'headers', 'error_message']) {
+    if (trigger[field] !== undefined) options[field] = trigger[field];
+  }
+  return options;
+}
+
+// Returns an error message for invalid callback settings, or null
+function validateCallbackOptions(options) {
+  if (!/^https?:\/\//i.test(options.callback_url || '')) return 'callback_url must be an http(s) URL';
+  if (options.timeout_ms !== undefined && !(Number.isInteger(options.timeout_ms) && options.timeout_ms > 0 && options.timeout_ms <= 120000)) {
+    return 'timeout_ms must be between 1 and 120000';
+  }
+  if (options.retries !== undefined && !(Number.isInteger(options.retries) && options.retries >= 0 && options.retries <= CALLBACK_MAX_RETRIES)) {
+    return `retries must be between 0 and ${CALLBACK_MAX_RETRIES}`;
+  }
+  if (options.secret !== undefined && (typeof options.secret !== 'string' || !options.secret)) return 'secret must be a non-empty string';
+  if (options.headers !== undefined &&
+    (typeof options.headers !== 'object' || Array.isArray(options.headers) || Object.values(options.headers).some(v => typeof v !== 'string'))) {
+    return 'headers must be an object of strings';
+  }
+  if (options.error_message !== undefined && typeof options.error_message !== 'string') return 'error_message must be a string';
+  return null;
+}
+
+// POSTs a callback payload; network errors and 5xx responses are retried
+async function postCallback(options, payload) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    ...options.headers,
+    'Content-Type': 'application/json',
+    'X-Callback-Version': String(CALLBACK_PAYLOAD_VERSION)
+  };
+  if (options.secret) headers['X-Callback-Signature'] = `sha256=${signWebhookPayload(options.secret, body)}`;
+
+  const retries = options.retries || 0;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.post(options.callback_url, body, { headers, timeout: options.timeout_ms || CALLBACK_TIMEOUT_MS });
+    } catch (err) {
+      const retryable = !err.response || err.response.status >= 500;
+      if (!retryable || attempt >= retries) throw err;
+      await new Promise(r => setTimeout(r, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+// Turns a callback response into { messages: [{ type, params }], quote, react }.
+// Plain strings are sent as text; { reply: false } (or an empty body) sends nothing;
+// { messages: [{ type, ...params }], quote, react } sends each message like the send endpoints.
+function parseCallbackResponse(data) {
+  const textReply = text => ({ messages: [{ type: 'text', params: { text } }] });
+  if (data === undefined || data === null || data === '') return { messages: [] };
+  if (typeof data === 'string') return textReply(data);
+  if (typeof data !== 'object' || Array.isArray(data)) return textReply(JSON.stringify(data));
+
+  const react = typeof data.react === 'string' ? data.react : null;
+  if (data.reply === false) return { messages: [], react };
+
+  const items = Array.isArray(data.messages) ? data.messages : (data.type || data.text) ? [data] : null;
+  // Anything else is sent as JSON, as before
+  if (!items && !react) return textReply(JSON.stringify(data));
+
+  const messages = (items || []).map((item) => {
+    const type = item.type || 'text';
+    if (!MESSAGE_TYPES.includes(type)) throw new Error(`Unsupported callback message type: ${type}`);
+    const error = validateMessageFields(type, item) || buildMessageContent(type, item).error;
+    if (error) throw new Error(`Invalid callback message: ${error}`);
+    return { type, params: item };
+  });
+
+  return { messages, quote: data.quote === true, react };
+}
+
+async function executeRule(sessionId, from, { rule, match }, context) {
+  const { action } = rule;
+  const send = { transactional: action.transactional === true };
+  if (action.type === 'reply') {
+    if (action.typing && sockets[sessionId]?.isConnected) {
+      await simulateTyping(sockets[sessionId], from, action.text);
+    } else if (action.delayMs) {
+      await new Promise(r => setTimeout(r, action.delayMs));
+    }
+    await sendReply(sessionId, from, { text: action.text }, undefined, send);
+    return;
+  }
+
+  const payload = {
+    version: CALLBACK_PAYLOAD_VERSION,
+    // v1 fields, kept for existing callbacks
+    keyword: match.keyword,
+    name: rule.name,
+    pattern: rule.match.pattern,
+    sessionId,
+    rule: { id: rule.id, source: rule.source, name: rule.name },
+    match: { text: match.keyword, groups: match.groups, captures: match.captures || [] },
+    message: {
+      ...normalizeMessage(context.msg),
+      chat: from,
+      sender: context.sender,
+      isGroup: context.isGroup
+    }
+  };
+
+  if (!(await tryCallbackQuota(sessionId))) return;
+
+  let reply;
+  const endTimer = metrics.callbackDuration.startTimer({ sessionId, kind: 'rule' });
+  try {
+    const res = await postCallback(action, payload).finally(endTimer);
+    reply = parseCallbackResponse(res.data);
+  } catch (err) {
+    metrics.callbackFailures.inc({ sessionId, kind: 'rule' });
+    sessionLog(sessionId).error({ err }, `Callback error (${rule.source} ${rule.id})`);
+    const errorMessage = action.error_message ?? CALLBACK_ERROR_MESSAGE;
+    if (errorMessage) await sendReply(sessionId, from, { text: errorMessage }, undefined, send);
+    return;
+  }
+
+  if (reply.react) {
+    await sendReply(sessionId, from, { react: { text: reply.react, key: context.msg.key } }, undefined, send);
+  }
+  // The callback server is untrusted: its media goes through the same fetch and checks as an upload
+  for (const { type, params } of reply.messages) {
+    let built;
+    try {
+      built = await buildOutboundContent(sessionId, type, params);
+    } catch (err) {
+      sessionLog(sessionId).error({ err }, `Callback reply skipped (${rule.source} ${rule.id})`);
+      continue;
+    }
+    try {
+      await sendReply(sessionId, from, built.content, reply.quote ? { quoted: context.msg } : undefined, send);
+    } finally {
+      if (built.outboxFile) await fs.remove(built.outboxFile).catch(() => {});
+    }
+  }
+}
+
+// ✅ Live event stream (Server-Sent Events)
+function sseFrame(sessionId, event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify({ sessionId, timestamp: new Date().toISOString(), ...data })}\n\n`;
+}
+
+function streamEvent(sessionId, event, data) {
+  const clients = eventClients[sessionId];
+  if (!clients || clients.size === 0) return;
+
+  const frame = sseFrame(sessionId, event, data);
+  for (const client of clients) {
+    if (!client.events || client.events.includes(event)) client.res.write(frame);
+  }
+}
+
+function disconnectReasonName(statusCode) {
+  return Object.keys(DisconnectReason).find(k => DisconnectReason[k] === statusCode) || null;
+}
+
+// Maps raw Baileys events onto the stream's event names
+function streamSessionEvent(sessionId, event, data) {
+  if (!eventClients[sessionId]?.size) return;
+
+  switch (event) {
+    case 'connection.update': {
+      const update = normalizeWebhookData(event, data);
+      if (update.connection) {
+        streamEvent(sessionId, 'connection', { ...update, reasonName: disconnectReasonName(update.statusCode) });
+      }
+      break;
+    }
+    case 'messages.upsert':
+      if (data.type !== 'notify') break;
+      for (const msg of data.messages || []) {
+        if (!msg.key?.fromMe) streamEvent(sessionId, 'message', normalizeMessage(msg));
+      }
+      break;
+    case 'messages.update':
+      for (const { key, update } of data || []) {
+        if (update?.status) {
+          streamEvent(sessionId, 'receipt', { messageId: key.id, remoteJid: key.remoteJid, status: update.status });
+        }
+      }
+      break;
+    case 'message.status':
+      streamEvent(sessionId, 'message.status', data);
+      break;
+    case 'session.state':
+      streamEvent(sessionId, 'state', data);
+      break;
+    case 'message-receipt.update':
+      for (const { key, receipt } of data || []) {
+        streamEvent(sessionId, 'receipt', {
+          messageId: key.id,
+          remoteJid: key.remoteJid,
+          participant: receipt?.userJid || null,
+          receiptTimestamp: toTimestamp(receipt?.receiptTimestamp),
+          readTimestamp: toTimestamp(receipt?.readTimestamp)
+        });
+      }
+      break;
+  }
+}
+
+// Forward a session event to the live stream and every webhook subscribed to it
+function emitSessionEvent(sessionId, event, data) {
+  streamSessionEvent(sessionId, event, data);
+
+  const subscribers = (webhooks[sessionId] || []).filter(w =>
+    w.events.includes(event) || w.events.includes('*')
+  );
+  if (subscribers.length === 0) return;
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    data: normalizeWebhookData(event, data)
+  };
+
+  for (const webhook of subscribers) {
+    deliverWebhook(sessionId, webhook, payload);
+  }
+}
+
+// ✅ Auth-state storage (WhatsApp credentials and signal keys)
+// AUTH_STORE=file keeps them in auth/<sessionId>/creds, AUTH_STORE=sqlite in one SQLite
+// database (needs the optional better-sqlite3 package). Configs, queue, messages etc.
+// stay in auth/<sessionId> with either backend, so clearing credentials leaves them alone.
+const AUTH_STORE = process.env.AUTH_STORE || 'file';
+const AUTH_DB_FILE = process.env.AUTH_DB_FILE || path.join(AUTH_DIR, 'auth.db');
+
+// Credential files useMultiFileAuthState used to write straight into auth/<sessionId>
+const LEGACY_CRED_FILE = /^(creds|(pre-key|session|sender-key|sender-key-memory|app-state-sync-key|app-state-sync-version|lid-mapping|device-list|tctoken)-.+)\.json$/;
+
+// Same naming as useMultiFileAuthState, so exports work across backends
+function authKeyName(type, id) {
+  return `${type}-${id}`.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+const fileAuthStore = {
+  credsPath(sessionId) {
+    return path.join(AUTH_DIR, sessionId, 'creds');
+  },
+
+  // Moves credentials from the old flat layout into creds/
+  async migrate(sessionId) {
+    const sessionPath = path.join(AUTH_DIR, sessionId);
+    if (!fs.existsSync(path.join(sessionPath, 'creds.json'))) return;
+
+    const credsPath = this.credsPath(sessionId);
+    await fs.ensureDir(credsPath);
+    const files = (await fs.readdir(sessionPath)).filter(f => LEGACY_CRED_FILE.test(f));
+    for (const file of files) {
+      await fs.move(path.join(sessionPath, file), path.join(credsPath, file), { overwrite: true });
+    }
+    sessionLog(sessionId).info(`Moved ${files.length} credential files into creds/`);
+  },
+
+  async load(sessionId) {
+    await this.migrate(sessionId);
+    return useMultiFileAuthState(this.credsPath(sessionId));
+  },
+
+  async clear(sessionId) {
+    await this.migrate(sessionId);
+    await fs.remove(this.credsPath(sessionId));
+  },
+
+  // Session folders move as a whole, credentials included
+  async rename() {},
+
+  // { name: raw JSON } for every stored credential
+  async exportData(sessionId) {
+    await this.migrate(sessionId);
+    const credsPath = this.credsPath(sessionId);
+    const entries = {};
+    if (!fs.existsSync(credsPath)) return entries;
+    for (const file of await fs.readdir(credsPath)) {
+      if (!file.endsWith('.json')) continue;
+      entries[file.slice(0, -5)] = await fs.readFile(path.join(credsPath, file), 'utf8');
+    }
+    return entries;
+  },
+
+  async importData(sessionId, entries) {
+    const credsPath = this.credsPath(sessionId);
+    await fs.remove(credsPath);
+    await fs.ensureDir(credsPath);
+    for (const [name, value] of Object.entries(entries)) {
+      await fs.writeFile(path.join(credsPath, `${path.basename(name)}.json`), value);
+    }
+  }
+};
+
+let authDb = null;
+
+function openAuthDb() {
+  if (authDb) return authDb;
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('AUTH_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.ensureDirSync(path.dirname(AUTH_DB_FILE));
+  authDb = new Database(AUTH_DB_FILE);
+  authDb.pragma('journal_mode = WAL');
+  authDb.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (session_id, name)
+  )`);
+  return authDb;
+}
+
+const sqliteAuthStore = {
+  async load(sessionId) {
+    const db = openAuthDb();
+    const select = db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND name = ?');
+    const upsert = db.prepare(`INSERT INTO auth_state (session_id, name, value) VALUES (?, ?, ?)
+      ON CONFLICT (session_id, name) DO UPDATE SET value = excluded.value`);
+    const remove = db.prepare('DELETE FROM auth_state WHERE session_id = ? AND name = ?');
+
+    // Switching from the file backend: take over the existing credentials
+    if (!select.get(sessionId, 'creds')) {
+      const entries = await fileAuthStore.exportData(sessionId);
+      if (entries.creds) {
+        await this.importData(sessionId, entries);
+        await fileAuthStore.clear(sessionId);
+        sessionLog(sessionId).info('Moved credentials from files into SQLite');
+      }
+    }
+
+    const read = (name) => {
+      const row = select.get(sessionId, name);
+      return row ? JSON.parse(row.value, BufferJSON.reviver) : null;
+    };
+    const write = (name, value) => upsert.run(sessionId, name, JSON.stringify(value, BufferJSON.replacer));
+
+    const creds = read('creds') || initAuthCreds();
+
+    return {
+      state: {
+        creds,
+        keys: {
+          get: async (type, ids) => {
+            const data = {};
+            for (const id of ids) {
+              let value = read(authKeyName(type, id));
+              if (type === 'app-state-sync-key' && value) {
+                value = proto.Message.AppStateSyncKeyData.fromObject(value);
+              }
+              data[id] = value;
+            }
+            return data;
+          },
+          set: async (data) => {
+            db.transaction(() => {
+              for (const [type, values] of Object.entries(data)) {
+                for (const [id, value] of Object.entries(values)) {
+                  if (value) write(authKeyName(type, id), value);
+                  else remove.run(sessionId, authKeyName(type, id));
+                }
+              }
+            })();
+          }
+        }
+      },
+      saveCreds: async () => write('creds', creds)
+    };
+  },
+
+  async clear(sessionId) {
+    openAuthDb().prepare('DELETE FROM auth_state WHERE session_id = ?').run(sessionId);
+  },
+
+  async rename(sessionId, newSessionId) {
+    openAuthDb().prepare('UPDATE auth_state SET session_id = ? WHERE session_id = ?').run(newSessionId, sessionId);
+  },
+
+  async exportData(sessionId) {
+    const rows = openAuthDb().prepare('SELECT name, value FROM auth_state WHERE session_id = ?').all(sessionId);
+    return Object.fromEntries(rows.map(r => [r.name, r.value]));
+  },
+
+  async importData(sessionId, entries) {
+    const db = openAuthDb();
+    const insert = db.prepare('INSERT INTO auth_state (session_id, name, value) VALUES (?, ?, ?)');
+    db.transaction(() => {
+      db.prepare('DELETE FROM auth_state WHERE session_id = ?').run(sessionId);
+      for (const [name, value] of Object.entries(entries)) insert.run(sessionId, name, value);
+    })();
+  }
+};
+
+const AUTH_STORES = { file: fileAuthStore, sqlite: sqliteAuthStore };
+const authStore = AUTH_STORES[AUTH_STORE];
+if (!authStore) {
+  throw new Error(`Unknown AUTH_STORE "${AUTH_STORE}" (use one of: ${Object.keys(AUTH_STORES).join(', ')})`);
+}
+
+// ✅ Session export/import (AES-256-GCM bundle, key derived from a passphrase with scrypt)
+const BUNDLE_FORMAT = 'wasms-session';
+const BUNDLE_MIN_PASSPHRASE = 12;
+
+// Per-session configs that travel with the credentials
+const SESSION_CONFIG_FILES = [
+  'autoReplies.json', 'regexTriggers.json', 'regexTriggersPro.json', 'rules.json', 'flows.json',
+  'webhooks.json', 'queueSettings.json', 'schedules.json', 'suppressions.json', 'suppressionSettings.json',
+  'usage.json', 'usageRecipients.json'
+];
+
+function encryptBundle(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: 'scrypt',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Throws on a wrong passphrase or a tampered bundle
+function decryptBundle(bundle, passphrase) {
+  if (bundle?.format !== BUNDLE_FORMAT || bundle.version !== 1) throw new Error('Not a session bundle');
+
+  const key = crypto.scryptSync(passphrase, Buffer.from(bundle.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+  const data = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+  return JSON.parse(data.toString('utf8'));
+}
+
+async function exportSession(sessionId) {
+  await flushPendingSaves(sessionId);
+
+  const configs = {};
+  for (const file of SESSION_CONFIG_FILES) {
+    const filePath = path.join(AUTH_DIR, sessionId, file);
+    if (fs.existsSync(filePath)) configs[file] = await fs.readJson(filePath);
+  }
+
+  return {
+    sessionId,
+    exportedAt: new Date().toISOString(),
+    session: sessions[sessionId],
+    credentials: await authStore.exportData(sessionId),
+    configs
+  };
+}
+
+async function importSession(sessionId, payload) {
+  const sessionPath = path.join(AUTH_DIR, sessionId);
+  await fs.ensureDir(sessionPath);
+  for (const [file, content] of Object.entries(payload.configs || {})) {
+    if (SESSION_CONFIG_FILES.includes(file)) await fs.writeJson(path.join(sessionPath, file), content, { spaces: 2 });
+  }
+  await authStore.importData(sessionId, payload.credentials || {});
+
+  sessions[sessionId] = payload.session || { createdAt: new Date().toISOString(), keys: [] };
+  await safeWriteSessions();
+}
+
+// ✅ Session lifecycle
+// idle -> connecting -> awaiting-scan -> open. A dropped connection goes to backing-off and is
+// retried; logged-out and paused (both kept across restarts) are only left by an explicit connect.
+const SESSION_STATES = ['idle', 'connecting', 'awaiting-scan', 'open', 'backing-off', 'logged-out', 'paused'];
+
+function sessionLifecycle(sessionId) {
+  if (!lifecycles[sessionId]) {
+    const record = sessions[sessionId];
+    lifecycles[sessionId] = {
+      state: record?.pausedAt ? 'paused' : record?.loggedOutAt ? 'logged-out' : 'idle',
+      attempts: 0,
+      nextRetryAt: null,
+      lastError: null,
+      changedAt: new Date().toISOString(),
+      timer: null,
+      connecting: null
+    };
+  }
+  return lifecycles[sessionId];
+}
+
+function sessionState(sessionId) {
+  return sessionLifecycle(sessionId).state;
+}
+
+function lifecycleInfo(sessionId) {
+  const { state, attempts, nextRetryAt, lastError, changedAt } = sessionLifecycle(sessionId);
+  return { state, attempts, nextRetryAt, lastError, changedAt };
+}
+
+function setSessionState(sessionId, state, details = {}) {
+  const lifecycle = sessionLifecycle(sessionId);
+  const previous = lifecycle.state;
+  Object.assign(lifecycle, details, { state });
+  if (previous === state) return;
+
+  lifecycle.changedAt = new Date().toISOString();
+  sessionLog(sessionId).info({ state, previous }, 'Session state changed');
+  emitSessionEvent(sessionId, 'session.state', { previous, ...lifecycleInfo(sessionId) });
+}
+
+function cancelReconnect(sessionId) {
+  const lifecycle = sessionLifecycle(sessionId);
+  clearTimeout(lifecycle.timer);
+  lifecycle.timer = null;
+  lifecycle.nextRetryAt = null;
+}
+
+// base, 2x base, 4x base... capped, with ±20% jitter so sessions don't retry in lockstep
+function reconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** (attempt - 1), RECONNECT_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function scheduleReconnect(sessionId, reason) {
+  const lifecycle = sessionLifecycle(sessionId);
+  cancelReconnect(sessionId);
+
+  if (lifecycle.attempts >= RECONNECT_MAX_ATTEMPTS) {
+    sessionLog(sessionId).error(`Giving up after ${lifecycle.attempts} reconnect attempts`);
+    setSessionState(sessionId, 'idle', { lastError: `Gave up after ${lifecycle.attempts} reconnect attempts: ${reason}` });
+    return;
+  }
+
+  lifecycle.attempts += 1;
+  const delay = reconnectDelay(lifecycle.attempts);
+  lifecycle.timer = setTimeout(() => {
+    lifecycle.timer = null;
+    lifecycle.nextRetryAt = null;
+    connectSession(sessionId, { retry: true }).catch(err => scheduleReconnect(sessionId, err.message));
+  }, delay);
+
+  metrics.reconnects.inc({ sessionId });
+  sessionLog(sessionId).info(`Reconnecting in ${delay}ms (attempt ${lifecycle.attempts}/${RECONNECT_MAX_ATTEMPTS})`);
+  setSessionState(sessionId, 'backing-off', { lastError: reason, nextRetryAt: new Date(Date.now() + delay).toISOString() });
+}
+
+// The only way a socket gets opened: an existing socket is reused and concurrent
+// callers share the attempt in progress, so a session never has two sockets.
+// Explicit calls start a fresh backoff series and leave the paused/logged-out states.
+function connectSession(sessionId, { retry = false } = {}) {
+  const lifecycle = sessionLifecycle(sessionId);
+  if (sockets[sessionId]) return Promise.resolve(sockets[sessionId]);
+  if (lifecycle.connecting) return lifecycle.connecting;
+
+  cancelReconnect(sessionId);
+  if (!retry) lifecycle.attempts = 0;
+  lifecycle.connecting = openSocket(sessionId).finally(() => {
+    lifecycle.connecting = null;
+  });
+  return lifecycle.connecting;
+}
+
+async function markSession(sessionId, fields) {
+  const record = sessions[sessionId];
+  if (!record) return;
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === null) delete record[field];
+    else record[field] = value;
+  }
+  await safeWriteSessions();
+}
+
+// Closes the socket and stays offline (also after a restart) until resumed
+async function pauseSession(sessionId) {
+  // A connect in progress would open its socket after we close; let it land first
+  const { connecting } = sessionLifecycle(sessionId);
+  if (connecting) await connecting.catch(() => {});
+
+  cancelReconnect(sessionId);
+  clearPairing(sessionId);
+  closeSocket(sessionId);
+  await markSession(sessionId, { pausedAt: new Date().toISOString() });
+  setSessionState(sessionId, 'paused', { attempts: 0, lastError: null });
+}
+
+// Unlinks the device and clears its credentials; configs are kept and no reconnect happens
+async function logoutSession(sessionId) {
+  // As with pausing: a connect in progress must not put a socket back after we log out
+  const { connecting } = sessionLifecycle(sessionId);
+  if (connecting) await connecting.catch(() => {});
+
+  cancelReconnect(sessionId);
+  clearPairing(sessionId);
+
+  const sock = sockets[sessionId];
+  if (sock) {
+    sock.closedByUser = true;
+    try {
+      if (sock.isConnected) await sock.logout();
+      else sock.end(undefined);
+    } catch (e) {
+      sessionLog(sessionId).error({ err: e }, 'Error logging out');
+    }
+    delete sockets[sessionId];
+  }
+
+  await authStore.clear(sessionId);
+  await markSession(sessionId, { loggedOutAt: new Date().toISOString(), pausedAt: null });
+  setSessionState(sessionId, 'logged-out', { attempts: 0, lastError: null });
+}
+
+// ✅ Graceful shutdown: stop accepting requests, close sockets (without logging out), write pending state
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info({ signal }, 'Shutting down');
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+
+  server.close();
+  for (const clients of Object.values(eventClients)) {
+    for (const { res } of clients) res.end();
+  }
+  for (const sessionId of Object.keys(lifecycles)) cancelReconnect(sessionId);
+  for (const sessionId of Object.keys(sockets)) closeSocket(sessionId);
+
+  await flushPendingSaves();
+  await safeWriteSessions();
+  logger.info('Shutdown complete');
+  process.exit(0);
+}
+
+// Stops a socket without logging out and without triggering a reconnect
+function closeSocket(sessionId) {
+  const sock = sockets[sessionId];
+  if (!sock) return;
+  sock.closedByUser = true;
+  try {
+    sock.end(undefined);
+  } catch (e) {
+    sessionLog(sessionId).error({ err: e }, 'Error closing socket');
+  }
+  delete sockets[sessionId];
+}
+
+// Drops everything cached in memory for a session
+function forgetSessionState(sessionId) {
+  clearPairing(sessionId);
+  cancelReconnect(sessionId);
+  // Streams under this id would never get another event; clients reconnect under the new id
+  for (const { res } of eventClients[sessionId] || []) res.end();
+  delete eventClients[sessionId];
+  for (const store of [autoReplies, regexTriggers, regexTriggersPro, webhooks, webhookDeadLetters, messageStores,
+    sendQueues, queueSettings, campaigns, campaignMessageIndex, schedules, mediaIndexes, flows, flowStates, rules, presences,
+    messageStatuses, sessionLoggers, lifecycles, suppressions, suppressionSettings, usageStores]) {
+    delete store[sessionId];
+  }
+  clearTimeout(queueRetryTimers[sessionId]);
+  delete queueRetryTimers[sessionId];
+  for (const key of Object.keys(campaignTimers)) {
+    if (key.startsWith(`${sessionId}:`)) {
+      clearTimeout(campaignTimers[key]);
+      delete campaignTimers[key];
+    }
+  }
+}
+
+async function createSession(sessionId, { apiKey, keyName, scopes } = {}) {
+  const key = apiKey || generateApiKey();
+  const record = createKeyRecord(keyName, scopes, key);
+  sessions[sessionId] = { createdAt: new Date().toISOString(), keys: [record] };
+  await safeWriteSessions();
+  return { apiKey: key, key: publicKey(record) };
+}
+
+async function deleteSession(sessionId) {
+  cancelReconnect(sessionId);
+  const sock = sockets[sessionId];
+  if (sock) {
+    sock.closedByUser = true;
+    try {
+      await sock.logout();
+    } catch (e) {
+      sessionLog(sessionId).error({ err: e }, 'Error logging out');
+    }
+    delete sockets[sessionId];
+  }
+
+  dropPendingSaves(sessionId);
+  forgetSessionState(sessionId);
+
+  delete sessions[sessionId];
+  await safeWriteSessions();
+
+  await authStore.clear(sessionId);
+  const sessionAuthPath = path.join(AUTH_DIR, sessionId);
+  if (fs.existsSync(sessionAuthPath)) {
+    await fs.remove(sessionAuthPath);
+  }
+}
+
+async function renameSession(sessionId, newSessionId) {
+  const wasActive = !!sockets[sessionId];
+  closeSocket(sessionId);
+
+  await flushPendingSaves(sessionId);
+  forgetSessionState(sessionId);
+
+  const oldPath = path.join(AUTH_DIR, sessionId);
+  const newPath = path.join(AUTH_DIR, newSessionId);
+  if (fs.existsSync(oldPath)) {
+    await fs.move(oldPath, newPath);
+
+    // Queued media jobs point at files in the old outbox
+    const queuePath = path.join(newPath, 'queue.json');
+    if (fs.existsSync(queuePath)) {
+      const escaped = (p) => JSON.stringify(p).slice(1, -1);
+      const content = await fs.readFile(queuePath, 'utf8');
+      await fs.writeFile(queuePath, content.split(escaped(oldPath)).join(escaped(newPath)));
+    }
+  }
+
+  await authStore.rename(sessionId, newSessionId);
+
+  sessions[newSessionId] = sessions[sessionId];
+  delete sessions[sessionId];
+  await safeWriteSessions();
+
+  if (wasActive) {
+    connectSession(newSessionId).catch(err =>
+      sessionLog(newSessionId).error({ err }, 'Failed to reconnect after rename')
+    );
+  }
+}
+
+// ✅ Pairing code linking (alternative to QR)
+// Resolves once the socket is ready to link (first QR emitted) or connected
+async function waitForLinkReady(sock, timeoutMs = 20000) {
+  for (let waited = 0; waited < timeoutMs; waited += 500) {
+    if (sock.linkReady || sock.isConnected) return true;
+    await new Promise(r => setTimeout(r, 500));
+  }
+  return false;
+}
+
+function clearPairing(sessionId) {
+  const state = pairingStates[sessionId];
+  if (!state) return;
+  clearTimeout(state.timer);
+  delete pairingStates[sessionId];
+}
+
+function pairingInfo(sessionId) {
+  const state = pairingStates[sessionId];
+  if (!state) return null;
+  const { timer, ...info } = state;
+  return { ...info, expired: Date.parse(state.expiresAt) <= Date.now() };
+}
+
+async function requestPairingCode(sessionId, phoneNumber) {
+  const sock = sockets[sessionId];
+  const code = await sock.requestPairingCode(phoneNumber);
+
+  const previous = pairingStates[sessionId];
+  clearTimeout(previous?.timer);
+
+  const state = {
+    phoneNumber,
+    code,
+    formattedCode: code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code,
+    refreshes: previous?.phoneNumber === phoneNumber ? previous.refreshes : 0,
+    requestedAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString(),
+    error: null
+  };
+  state.timer = setTimeout(() => refreshPairingCode(sessionId), PAIRING_CODE_TTL_MS);
+  pairingStates[sessionId] = state;
+  streamEvent(sessionId, 'pairing', { code, formattedCode: state.formattedCode, expiresAt: state.expiresAt });
+
+  sessionLog(sessionId).info(`Pairing code for ${phoneNumber}: ${state.formattedCode}`);
+  return state;
+}
+
+async function refreshPairingCode(sessionId) {
+  const state = pairingStates[sessionId];
+  const sock = sockets[sessionId];
+  if (!state || !sock || sock.isConnected || sock.authState?.creds?.registered) return;
+
+  if (state.refreshes >= PAIRING_MAX_REFRESHES) {
+    sessionLog(sessionId).info('Pairing code expired, refresh limit reached');
+    return;
+  }
+
+  state.refreshes += 1;
+  try {
+    await requestPairingCode(sessionId, state.phoneNumber);
+  } catch (err) {
+    state.error = err.message;
+    sessionLog(sessionId).error({ err }, 'Pairing code refresh failed');
+  }
+}
+
+// ✅ FIXED: WhatsApp connection with PROPER device linking (use connectSession, never call this directly)
+async function openSocket(sessionId) {
+  try {
+    sessionLog(sessionId).info('Initializing WhatsApp connection...');
+    setSessionState(sessionId, 'connecting');
+    const { pausedAt, loggedOutAt } = sessions[sessionId] || {};
+    if (pausedAt || loggedOutAt) await markSession(sessionId, { pausedAt: null, loggedOutAt: null });
+    
+    const { state, saveCreds } = await authStore.load(sessionId);
+    await loadWebhooks(sessionId);
+    await loadMessageStore(sessionId);
+    await loadSendQueue(sessionId);
+    await loadCampaigns(sessionId);
+    await loadSchedules(sessionId);
+    await loadMediaIndex(sessionId);
+    await loadFlowStates(sessionId);
+    await loadMessageStatuses(sessionId);
+    
+    // ✅ Latest version fetch for compatibility
+    const { version, isLatest } = await fetchLatestBaileysVersion();
+
+    const baileysLogger = baileysLog(sessionId);
+
+    const sock = makeWASocket({
+      auth: state,
+      version,
+      // ✅ PROPER logger to avoid issues
+      logger: baileysLogger,
+      // ✅ Better browser configuration
+      browser: Browsers.ubuntu('Chrome'),
+      // ✅ Mobile device linking ke liye important settings
+      markOnlineOnConnect: false, // ✅ Yeh line important hai
+      syncFullHistory: false,
+      generateHighQualityLinkPreview: true,
+      // ✅ Connection settings
+      connectTimeoutMs: 60000,
+      keepAliveIntervalMs: 10000,
+      // ✅ Mobile companion mode
+      mobile: false,
+      // ✅ Real message content for retries / resends
+      getMessage: async (key) => getStoredMessage(sessionId, key)
+    });
+
+    sock.isConnected = false;
+    sock.sessionId = sessionId;
+    sock.lastQR = null;
+    sock.lastQRText = null;
+    sockets[sessionId] = sock;
+
+    // Save credentials when updated
+    sock.ev.on('creds.update', saveCreds);
+
+    // Store inbound and outbound messages (own sends arrive as type 'append')
+    sock.ev.on('messages.upsert', ({ messages }) => {
+      for (const msg of messages || []) {
+        storeMessage(sessionId, msg);
+      }
+    });
+
+    // Download inbound media (images, voice notes, documents...)
+    sock.ev.on('messages.upsert', async ({ messages, type }) => {
+      if (type !== 'notify') return;
+      for (const msg of messages || []) {
+        if (!msg.key.fromMe) await saveInboundMedia(sessionId, sock, msg, baileysLogger);
+      }
+    });
+
+    // Track delivery/read status of sent messages, collect poll votes
+    sock.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates || []) {
+        if (key?.fromMe && update?.status !== undefined && update?.status !== null) {
+          updateCampaignDelivery(sessionId, key.id, update.status);
+          updateMessageStatus(sessionId, key.id, statusFromProto(update.status), { to: key.remoteJid });
+        }
+        if (update?.pollUpdates) storePollUpdates(sessionId, key, update.pollUpdates);
+      }
+    });
+
+    // Per-participant receipts (groups, and devices reporting individually)
+    sock.ev.on('message-receipt.update', (updates) => {
+      for (const { key, receipt } of updates || []) {
+        if (!key?.fromMe || !receipt?.userJid) continue;
+        const status = receipt.playedTimestamp ? 'played'
+          : receipt.readTimestamp ? 'read'
+            : receipt.receiptTimestamp ? 'delivered'
+              : null;
+        if (status) updateMessageStatus(sessionId, key.id, status, { to: key.remoteJid, participant: receipt.userJid });
+      }
+    });
+
+    // Last known presence per chat (filled in for subscribed contacts and groups)
+    sock.ev.on('presence.update', ({ id, presences: updates }) => {
+      const chats = presences[sessionId] || (presences[sessionId] = {});
+      chats[id] = { participants: { ...chats[id]?.participants, ...updates }, updatedAt: new Date().toISOString() };
+    });
+
+    // Forward events to registered webhooks
+    for (const event of WEBHOOK_EVENTS) {
+      sock.ev.on(event, (data) => emitSessionEvent(sessionId, event, data));
+    }
+
+    // Handle connection updates
+    sock.ev.on('connection.update', async (update) => {
+      const { connection, lastDisconnect, qr } = update;
+
+      sessionLog(sessionId).debug({ connection }, 'Connection update');
+
+      // ✅ QR Code generation
+      if (qr) {
+        sock.linkReady = true;
+        setSessionState(sessionId, 'awaiting-scan');
+        sessionLog(sessionId).info('QR Code received - Scan with WhatsApp Mobile');
+        try {
+          const qrImage = await QRCode.toDataURL(qr);
+          sock.lastQR = qrImage;
+          // Raw QR payload, for clients that render it themselves (e.g. the CLI in a terminal)
+          sock.lastQRText = qr;
+          streamEvent(sessionId, 'qr', { qr: qrImage });
+          sessionLog(sessionId).info('QR Code generated successfully');
+          
+          // ✅ Terminal mein QR code display (off by default, it would break JSON log output)
+          if (process.env.PRINT_QR === 'true') {
+            QRCode.toString(qr, { type: 'terminal', small: true }, (err, url) => {
+              if (!err) process.stderr.write(`[${sessionId}] Scan this QR code:\n${url}\n`);
+            });
+          }
+        } catch (error) {
+          sessionLog(sessionId).error({ err: error }, 'QR generation error');
+        }
+      }
+
+      if (connection === 'open') {
+        sock.isConnected = true;
+        sock.lastQR = null;
+        sock.lastQRText = null;
+        clearPairing(sessionId);
+        setSessionState(sessionId, 'open', { attempts: 0, lastError: null });
+        sessionLog(sessionId).info('WhatsApp connected successfully!');
+        sessionLog(sessionId).info('Device properly linked with mobile');
+
+        // Load configurations
+        try {
+          await loadRuleConfigs(sessionId);
+        } catch (error) {
+          sessionLog(sessionId).error({ err: error }, 'Error loading configs');
+        }
+
+        // Send anything queued while disconnected
+        drainQueue(sessionId);
+      }
+
+      if (connection === 'close') {
+        sock.isConnected = false;
+        const reason = new Boom(lastDisconnect?.error)?.output?.statusCode;
+        sessionLog(sessionId).warn({ reason, reasonName: disconnectReasonName(reason) }, 'Disconnected');
+
+        // Closed on purpose (paused, deleted, renamed) or already replaced - don't reconnect
+        if (sock.closedByUser || sockets[sessionId] !== sock) return;
+        delete sockets[sessionId];
+
+        if (reason === DisconnectReason.loggedOut || reason === 401) {
+          sessionLog(sessionId).info('Logged out from the phone - clearing credentials');
+          try {
+            // Only the credentials go; rules, flows and other configs are kept
+            await authStore.clear(sessionId);
+            sessionLog(sessionId).info('Credentials cleared');
+          } catch (e) {
+            sessionLog(sessionId).error({ err: e }, 'Error clearing auth');
+          }
+          clearPairing(sessionId);
+          await markSession(sessionId, { loggedOutAt: new Date().toISOString() });
+          setSessionState(sessionId, 'logged-out', { attempts: 0, lastError: 'Logged out' });
+        } else if (reason === DisconnectReason.restartRequired) {
+          // Expected right after linking: reconnect straight away
+          connectSession(sessionId, { retry: true }).catch(err => scheduleReconnect(sessionId, err.message));
+        } else {
+          scheduleReconnect(sessionId, lastDisconnect?.error?.message || disconnectReasonName(reason) || 'Connection closed');
+        }
+      }
+    });
+
+    // ✅ COMPLETE Message handler (sare features ke saath)
+    sock.ev.on('messages.upsert', async ({ messages, type }) => {
+      if (type !== 'notify' || !messages?.[0]) return;
+      const msg = messages[0];
+      if (msg.key.fromMe) return;
+      metrics.messages.inc({ sessionId, direction: 'in', type: metricMessageType(getMessageType(msg.message)) });
+
+      const from = msg.key.remoteJid;
+      const isGroup = isGroupJid(from);
+      // In groups the chat is the group; the person who wrote is the participant
+      const sender = isGroup ? msg.key.participant : from;
+      // Media captions go through the same matching as plain text
+      const text = getMessageText(msg.message);
+
+      // ✅ Opt-out / opt-in keywords (direct chats only)
+      try {
+        if (!isGroup && await handleSuppressionKeyword(sessionId, from, text)) return;
+      } catch (err) {
+        sessionLog(sessionId).error({ err }, 'Opt-out keyword error');
+      }
+
+      // ✅ Conversation flows (an active flow gets the message before any rule)
+      try {
+        if (await handleFlowMessage(sessionId, msg, { from, sender, isGroup, text })) return;
+      } catch (err) {
+        sessionLog(sessionId).error({ err }, 'Flow error');
+      }
+
+      sessionLog(sessionId).debug({ messageId: msg.key.id, from, sender, type: getMessageType(msg.message), text }, 'Message received');
+
+      // ✅ Rules (custom rules and the legacy lists, in priority order)
+      const { fired } = evaluateRules(sessionId, {
+        text,
+        sender,
+        isGroup,
+        messageType: getMessageType(msg.message),
+        timestamp: Date.now()
+      });
+
+      for (const result of fired) {
+        try {
+          await executeRule(sessionId, from, result, { msg, sender, isGroup });
+        } catch (err) {
+          sessionLog(sessionId).error({ err }, `Rule ${result.rule.id} failed`);
+        }
+      }
+    });
+
+    sessionLog(sessionId).info('WhatsApp client initialized');
+    return sock;
+
+  } catch (error) {
+    sessionLog(sessionId).error({ err: error }, 'Connection error');
+    setSessionState(sessionId, 'idle', { lastError: error.message });
+    throw error;
+  }
+}
+
+// ✅ API ROUTES - ALL FEATURES INCLUDED
+
+// Create session (admin key required; use the admin API to rotate keys)
+route('post', '/api/v1/session/:sessionId', {
+  summary: 'Create a session with a caller-chosen API key',
+  tags: ['Sessions'],
+  params: objectSchema({ sessionId: { type: 'string', format: 'session-id' } }),
+  body: objectSchema({ apiKey: { type: 'string', minLength: 1 } }, ['apiKey'])
+}, verifyAdminKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { apiKey } = req.body;
+
+  if (sessions[sessionId]) {
+    return sendError(res, 409, 'SESSION_EXISTS', 'Session already exists');
+  }
+
+  try {
+    await createSession(sessionId, { apiKey });
+    
+    res.json({ 
+      success: true, 
+      sessionId, 
+      apiKey,
+      message: 'Session created successfully' 
+    });
+  } catch (error) {
+    sendInternalError(res, error);
+  }
+});
+
+// ✅ QR Code API
+route('get', '/api/v1/session/:sessionId/qr', { summary: 'Start linking and wait for a QR code', tags: ['Sessions'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (sessionState(sessionId) === 'paused') return sendPaused(res);
+
+  try {
+    let sock = sockets[sessionId];
+    
+    // Check if already connected
+    if (sock?.isConnected) {
+      return res.json({ 
+        success: true, 
+        connected: true,
+        message: 'Already connected to WhatsApp' 
+      });
+    }
+
+    // Initialize new connection if not exists
+    if (!sock) {
+      sock = await connectSession(sessionId);
+    }
+
+    // Wait for QR code
+    let qrFound = false;
+    for (let i = 0; i < 30; i++) {
+      if (sock.lastQR) {
+        qrFound = true;
+        return res.json({
+          success: true,
+          connected: false,
+          qr: sock.lastQR,
+          qrText: sock.lastQRText,
+          message: 'Scan QR code with WhatsApp Mobile'
+        });
+      }
+      
+      // Check if connected while waiting
+      if (sock.isConnected) {
+        return res.json({ 
+          success: true, 
+          connected: true,
+          message: 'Connected to WhatsApp!' 
+        });
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    // Timeout
+    if (!qrFound) {
+      sendError(res, 408, 'LINK_TIMEOUT', 'QR generation timeout, please try again');
+    }
+
+  } catch (error) {
+    sessionLog(sessionId).error({ err: error }, 'QR API error');
+    sendError(res, 500, 'INTERNAL_ERROR', `Failed to generate QR code: ${error.message}`);
+  }
+});
+
+// Check status
+route('get', '/api/v1/session/:sessionId/status', { summary: 'Connection and linking status', tags: ['Sessions'] }, verifyApiKey, (req, res) => {
+  const { sessionId } = req.params;
+  const sock = sockets[sessionId];
+  
+  const pairing = pairingInfo(sessionId);
+  
+  res.json({
+    success: true,
+    connected: sock?.isConnected || false,
+    sessionId: sessionId,
+    ...lifecycleInfo(sessionId),
+    linking: sock?.isConnected ? null : {
+      method: pairing ? 'pairing' : sock?.lastQR ? 'qr' : null,
+      qrAvailable: !!sock?.lastQR,
+      pairingCode: pairing?.code || null,
+      pairingExpiresAt: pairing?.expiresAt || null,
+      pairingExpired: pairing?.expired || false
+    }
+  });
+});
+
+// ✅ Live events (SSE). EventSource can't set headers, so pass ?apiKey=...
+// Optional ?events=qr,connection limits what is sent.
+route('get', '/api/v1/session/:sessionId/events', {
+  summary: 'Live session events (Server-Sent Events)',
+  tags: ['Events'],
+  response: 'text/event-stream',
+  query: objectSchema({
+    events: { type: 'string', description: `Comma-separated subset of: ${STREAM_EVENTS.join(', ')}` },
+    apiKey: { type: 'string', description: 'API key (EventSource cannot set headers)' }
+  })
+}, verifyApiKey, (req, res) => {
+  const { sessionId } = req.params;
+  const events = req.query.events ? String(req.query.events).split(',').map(e => e.trim()) : null;
+
+  const unknown = (events || []).filter(e => !STREAM_EVENTS.includes(e));
+  if (unknown.length > 0) {
+    return sendError(res, 400, 'VALIDATION_ERROR', `Unknown events: ${unknown.join(', ')}`, { allowed: STREAM_EVENTS });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = { res, events };
+  const clients = eventClients[sessionId] = eventClients[sessionId] || new Set();
+  clients.add(client);
+
+  // Current state first, so clients don't have to call /status
+  const sock = sockets[sessionId];
+  const pairing = pairingInfo(sessionId);
+  if (!events || events.includes('status')) {
+    res.write(sseFrame(sessionId, 'status', {
+      state: sessionState(sessionId),
+      connected: sock?.isConnected || false,
+      qr: sock?.isConnected ? null : sock?.lastQR || null,
+      pairing: pairing ? { code: pairing.code, formattedCode: pairing.formattedCode, expiresAt: pairing.expiresAt } : null
+    }));
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+});
+
+// ✅ Pairing code (link by phone number instead of scanning a QR)
+route('post', '/api/v1/session/:sessionId/pair', {
+  summary: 'Link by phone number with a pairing code',
+  tags: ['Sessions'],
+  body: objectSchema({ phoneNumber: { ...schemas.phone, description: 'Phone number with country code, digits only' } }, ['phoneNumber'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const jid = formatNumber(req.body.phoneNumber);
+  if (sessionState(sessionId) === 'paused') return sendPaused(res);
+
+  try {
+    let sock = sockets[sessionId];
+
+    if (sock?.isConnected) {
+      return res.json({ success: true, connected: true, message: 'Already connected to WhatsApp' });
+    }
+
+    if (!sock) {
+      sock = await connectSession(sessionId);
+    }
+
+    if (sock.authState?.creds?.registered) {
+      return sendError(res, 409, 'SESSION_ALREADY_LINKED', 'Session is already linked, reconnect instead');
+    }
+
+    if (!(await waitForLinkReady(sock))) {
+      return sendError(res, 408, 'LINK_TIMEOUT', 'Socket not ready for linking, please try again');
+    }
+
+    const state = await requestPairingCode(sessionId, jid.split('@')[0]);
+    return res.json({
+      success: true,
+      connected: false,
+      code: state.code,
+      formattedCode: state.formattedCode,
+      expiresAt: state.expiresAt,
+      message: 'On the phone: Linked devices > Link a device > Link with phone number instead'
+    });
+  } catch (error) {
+    sessionLog(sessionId).error({ err: error }, 'Pairing API error');
+    return sendError(res, 500, 'INTERNAL_ERROR', `Failed to generate pairing code: ${error.message}`);
+  }
+});
+
+// ✅ Text Message
+route('post', '/api/v1/session/:sessionId/sendText', {
+  summary: 'Queue a text message',
+  tags: ['Messages'],
+  status: 202,
+  body: objectSchema({ to: schemas.recipient, ...MESSAGE_FIELD_SCHEMAS.text.properties, ...schemas.sendOptions }, ['to', 'text'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const jid = formatRecipient(req.body.to);
+
+  const { content, error } = buildMessageContent('text', req.body);
+  if (error) return sendValidationError(res, error);
+
+  const { options, error: optionsError } = await buildSendOptions(sessionId, req.body);
+  if (optionsError) return sendError(res, 404, 'QUOTED_MESSAGE_NOT_FOUND', optionsError);
+
+  try {
+    const job = await enqueueMessage(sessionId, jid, content, null, options);
+    return res.status(202).json(jobResponse(job));
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Send Image (upload, URL or base64) with optional caption
+route('post', '/api/v1/session/:sessionId/sendImage', mediaSendSpec('image', 'Queue an image (upload, URL or base64)'), verifySendKey, handleMediaUpload, sendMediaHandler('image'));
+
+// ✅ Auto Replies (store in auth/<sessionId>/autoReplies.json)
+route('post', '/api/v1/session/:sessionId/autoReplies', {
+  summary: 'Replace keyword auto-replies',
+  tags: ['Rules'],
+  body: objectSchema({
+    replies: {
+      type: 'array',
+      items: objectSchema({
+        keyword: { type: 'string', minLength: 1 },
+        reply: { type: 'string', minLength: 1 },
+        scope: schemas.scope,
+        typing: { type: 'boolean' }
+      }, ['keyword', 'reply'])
+    },
+    saveToAuth: { type: 'boolean' }
+  }, ['replies'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { replies, saveToAuth } = req.body;
+
+  const formattedReplies = replies.map(r => ({
+    keyword: r.keyword.toLowerCase(),
+    reply: r.reply,
+    scope: r.scope || 'all',
+    typing: r.typing === true
+  }));
+
+  autoReplies[sessionId] = formattedReplies;
+
+  if (saveToAuth) {
+    const filePath = path.join(AUTH_DIR, sessionId, 'autoReplies.json');
+    await fs.writeJson(filePath, formattedReplies, { spaces: 2 });
+    sessionLog(sessionId).info(`AutoReplies saved to ${filePath}`);
+  }
+
+  return res.json({ success: true, count: formattedReplies.length });
+});
+
+// ✅ Send PDF/Doc with optional caption
+route('post', '/api/v1/session/:sessionId/sendDocument', mediaSendSpec('document', 'Queue a document'), verifySendKey, handleMediaUpload, sendMediaHandler('document'));
+
+// ✅ Send Audio (plays as a music file)
+route('post', '/api/v1/session/:sessionId/sendAudio', mediaSendSpec('audio', 'Queue an audio file'), verifySendKey, handleMediaUpload, sendMediaHandler('audio'));
+
+// ✅ Send Voice Note (PTT)
+route('post', '/api/v1/session/:sessionId/sendVoiceNote', mediaSendSpec('voice', 'Queue a voice note (PTT)'), verifySendKey, handleMediaUpload, sendMediaHandler('voice'));
+
+// ✅ Send Video (gif=true plays it as a looping GIF)
+route('post', '/api/v1/session/:sessionId/sendVideo', mediaSendSpec('video', 'Queue a video'), verifySendKey, handleMediaUpload, sendMediaHandler('video'));
+
+// ✅ Send Sticker (webp)
+route('post', '/api/v1/session/:sessionId/sendSticker', mediaSendSpec('sticker', 'Queue a WebP sticker'), verifySendKey, handleMediaUpload, sendMediaHandler('sticker'));
+
+// ✅ Send Location
+route('post', '/api/v1/session/:sessionId/sendLocation', {
+  summary: 'Queue a location pin',
+  tags: ['Messages'],
+  status: 202,
+  body: objectSchema({ to: schemas.recipient, ...MESSAGE_FIELD_SCHEMAS.location.properties, ...schemas.sendOptions }, ['to', 'latitude', 'longitude'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const jid = formatRecipient(req.body.to);
+
+  const { content, error } = buildMessageContent('location', req.body);
+  if (error) return sendValidationError(res, error);
+
+  const { options, error: optionsError } = await buildSendOptions(sessionId, req.body);
+  if (optionsError) return sendError(res, 404, 'QUOTED_MESSAGE_NOT_FOUND', optionsError);
+
+  try {
+    const job = await enqueueMessage(sessionId, jid, content, null, options);
+    return res.status(202).json(jobResponse(job));
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Send Poll
+route('post', '/api/v1/session/:sessionId/sendPoll', {
+  summary: 'Queue a poll',
+  tags: ['Messages'],
+  status: 202,
+  body: objectSchema({ to: schemas.recipient, ...MESSAGE_FIELD_SCHEMAS.poll.properties, ...schemas.sendOptions }, ['to', 'name', 'options'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const jid = formatRecipient(req.body.to);
+
+  const { content, error } = buildMessageContent('poll', req.body);
+  if (error) return sendValidationError(res, error);
+
+  const { options, error: optionsError } = await buildSendOptions(sessionId, req.body);
+  if (optionsError) return sendError(res, 404, 'QUOTED_MESSAGE_NOT_FOUND', optionsError);
+
+  try {
+    const job = await enqueueMessage(sessionId, jid, content, null, options);
+    return res.status(202).json(jobResponse(job));
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Poll results (votes collected from messages.update)
+route('get', '/api/v1/session/:sessionId/polls/:messageId', { summary: 'Poll results', tags: ['Messages'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, messageId } = req.params;
+
+  const record = await findStoredMessage(sessionId, messageId);
+  if (!record || !['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'].includes(record.type)) {
+    return sendError(res, 404, 'POLL_NOT_FOUND', 'Poll not found');
+  }
+
+  try {
+    const data = await getPollResults(sessionId, record, sockets[sessionId]?.user?.id);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ React to a message (empty emoji removes the reaction)
+route('post', '/api/v1/session/:sessionId/react', {
+  summary: 'React to a message (empty emoji removes the reaction)',
+  tags: ['Messages'],
+  status: 202,
+  body: objectSchema({ messageId: { type: 'string', minLength: 1 }, emoji: { type: 'string' } }, ['messageId', 'emoji'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { messageId, emoji } = req.body;
+
+  const record = await findStoredMessage(sessionId, messageId);
+  if (!record) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message not found');
+
+  try {
+    const job = await enqueueMessage(sessionId, record.remoteJid, { react: { text: emoji, key: record.key } });
+    return res.status(202).json(jobResponse(job));
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Edit a message we sent
+route('post', '/api/v1/session/:sessionId/editMessage', {
+  summary: 'Edit a message sent by this session',
+  tags: ['Messages'],
+  status: 202,
+  body: objectSchema({ messageId: { type: 'string', minLength: 1 }, text: { type: 'string', minLength: 1 } }, ['messageId', 'text'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { messageId, text } = req.body;
+
+  const record = await findStoredMessage(sessionId, messageId);
+  if (!record) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message not found');
+  if (!record.fromMe) return sendError(res, 403, 'FORBIDDEN', 'Only messages sent by this session can be edited');
+
+  try {
+    const job = await enqueueMessage(sessionId, record.remoteJid, { text, edit: record.key });
+    return res.status(202).json(jobResponse(job));
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Delete a message for everyone
+route('post', '/api/v1/session/:sessionId/deleteMessage', {
+  summary: 'Delete a message for everyone',
+  tags: ['Messages'],
+  status: 202,
+  body: objectSchema({ messageId: { type: 'string', minLength: 1 } }, ['messageId'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+
+  const record = await findStoredMessage(sessionId, req.body.messageId);
+  if (!record) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Message not found');
+
+  try {
+    const job = await enqueueMessage(sessionId, record.remoteJid, { delete: record.key });
+    return res.status(202).json(jobResponse(job));
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Reconnect (safe reconnect, no logout)
+route('post', '/api/v1/session/:sessionId/reconnect', { summary: 'Reconnect without logging out', tags: ['Sessions'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (sessionState(sessionId) === 'paused') return sendPaused(res);
+
+  try {
+    if (sockets[sessionId]?.isConnected) {
+      return res.json({ success: true, message: 'Already connected' });
+    }
+
+    // Replaces a socket that is still trying to connect, and skips any pending backoff
+    sessionLog(sessionId).info('Reconnecting safely...');
+    closeSocket(sessionId);
+    await connectSession(sessionId);
+
+    return res.json({ success: true, message: 'Reconnecting', ...lifecycleInfo(sessionId) });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Pause (close the connection and stay offline, also across restarts, until resumed)
+route('post', '/api/v1/session/:sessionId/pause', { summary: 'Disconnect and stay offline until resumed', tags: ['Sessions'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (sessionState(sessionId) === 'paused') return sendError(res, 409, 'INVALID_STATE', 'Session is already paused');
+
+  await pauseSession(sessionId);
+  return res.json({ success: true, ...lifecycleInfo(sessionId) });
+});
+
+// ✅ Resume a paused session
+route('post', '/api/v1/session/:sessionId/resume', { summary: 'Reconnect a paused session', tags: ['Sessions'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (sessionState(sessionId) !== 'paused') {
+    return sendError(res, 409, 'INVALID_STATE', `Only paused sessions can be resumed (session is ${sessionState(sessionId)})`);
+  }
+
+  try {
+    await connectSession(sessionId);
+    return res.json({ success: true, ...lifecycleInfo(sessionId) });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Logout (unlinks the device; link again with /qr or /pair)
+route('post', '/api/v1/session/:sessionId/logout', { summary: 'Unlink the device and clear its credentials', tags: ['Sessions'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    await logoutSession(sessionId);
+    return res.json({ success: true, ...lifecycleInfo(sessionId) });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ RegexTriggersPro
+route('post', '/api/v1/session/:sessionId/regexTriggersPro', {
+  summary: 'Replace regex triggers limited to one sender',
+  tags: ['Rules'],
+  body: objectSchema({
+    triggers: {
+      type: 'array',
+      items: objectSchema({
+        name: { type: 'string', minLength: 1 },
+        regex: { type: 'string', minLength: 1, format: 'regex' },
+        target_number: { type: ['string', 'number'] },
+        scope: schemas.scope,
+        ...schemas.callbackOptions
+      }, ['name', 'regex', 'callback_url', 'target_number'])
+    }
+  }, ['triggers'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { triggers } = req.body;
+
+  for (const trigger of triggers) {
+    const error = validateCallbackOptions(trigger);
+    if (error) return sendValidationError(res, `Trigger ${trigger.name}: ${error}`);
+  }
+
+  const filePath = path.join(AUTH_DIR, sessionId, 'regexTriggersPro.json');
+  await fs.writeJson(filePath, triggers, { spaces: 2 });
+  regexTriggersPro[sessionId] = triggers;
+
+  return res.json({ success: true, count: triggers.length });
+});
+
+route('get', '/api/v1/session/:sessionId/regexTriggersPro', { summary: 'List sender-limited regex triggers', tags: ['Rules'] }, verifyApiKey, async (req, res) => {
+  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'regexTriggersPro.json');
+  if (fs.existsSync(filePath)) {
+    const triggers = await fs.readJson(filePath);
+    return res.json({ success: true, triggers });
+  } else {
+    return res.json({ success: true, triggers: [] });
+  }
+});
+
+// ✅ Set Disappearing Messages
+route('post', '/api/v1/session/:sessionId/setDisappearing', {
+  summary: 'Set disappearing messages for a chat',
+  tags: ['Chats'],
+  body: objectSchema({
+    to: schemas.recipient,
+    duration: { type: 'integer', enum: [0, 86400, 604800, 7776000], description: 'Seconds; 0 turns it off' }
+  }, ['to', 'duration'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { to, duration } = req.body;
+
+  const sock = sockets[sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  const jid = formatRecipient(to);
+
+  try {
+    await sock.sendMessage(jid, { disappearingMessagesInChat: duration });
+    return res.json({ success: true, message: `Set disappearing message for ${duration}s` });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Mark messages (by id) or a whole chat as read
+route('post', '/api/v1/session/:sessionId/read', {
+  summary: 'Mark messages or a whole chat as read',
+  tags: ['Chats'],
+  body: {
+    ...objectSchema({
+      messageIds: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+      chat: schemas.recipient
+    }),
+    anyOf: [{ required: ['messageIds'] }, { required: ['chat'] }]
+  }
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { messageIds, chat } = req.body;
+
+  const sock = sockets[sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  const store = await loadMessageStore(sessionId);
+  let keys;
+  if (messageIds) {
+    const records = messageIds.map(id => store.get(id));
+    const missing = messageIds.filter((id, i) => !records[i]);
+    if (missing.length) return sendError(res, 404, 'MESSAGE_NOT_FOUND', 'Messages not found', { missing });
+    keys = records.map(r => r.key);
+  } else {
+    const jid = formatRecipient(chat);
+    keys = [...store.values()]
+      .filter(r => r.direction === 'in' && r.remoteJid === jid)
+      .slice(-READ_CHAT_LIMIT)
+      .map(r => r.key);
+  }
+
+  try {
+    if (keys.length) await sock.readMessages(keys);
+    return res.json({ success: true, read: keys.length });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Send presence ("typing…", "recording…", online/offline), optionally for a while
+route('post', '/api/v1/session/:sessionId/presence', {
+  summary: 'Send presence (typing, recording, online/offline)',
+  tags: ['Chats'],
+  body: objectSchema({
+    presence: { type: 'string', enum: PRESENCE_TYPES },
+    to: { ...schemas.recipient, description: 'Required except for available/unavailable' },
+    durationMs: { type: 'integer', minimum: 1, maximum: PRESENCE_MAX_DURATION_MS }
+  }, ['presence'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { to, presence, durationMs } = req.body;
+
+  const sock = sockets[sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  // available/unavailable are global; the others are per chat
+  const jid = to ? formatRecipient(to) : null;
+  if (!jid && !['available', 'unavailable'].includes(presence)) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'to is required for this presence', [{ field: 'body.to', message: 'is required' }]);
+  }
+
+  const duration = durationMs ?? null;
+
+  try {
+    await sock.sendPresenceUpdate(presence, jid || undefined);
+    if (duration && jid && ['composing', 'recording'].includes(presence)) {
+      setTimeout(() => {
+        sock.sendPresenceUpdate('paused', jid).catch(() => {});
+      }, duration);
+    }
+    return res.json({ success: true, presence, to: jid, durationMs: duration });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Subscribe to a contact's presence (updates show up in GET /presence/:jid and webhooks)
+route('post', '/api/v1/session/:sessionId/presence/subscribe', {
+  summary: "Subscribe to a contact's presence",
+  tags: ['Chats'],
+  body: objectSchema({ to: schemas.recipient }, ['to'])
+}, verifySendKey, async (req, res) => {
+  const { sessionId } = req.params;
+
+  const sock = sockets[sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  const jid = formatRecipient(req.body.to);
+
+  try {
+    await sock.presenceSubscribe(jid);
+    return res.json({ success: true, jid });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Last known presence of a chat
+route('get', '/api/v1/session/:sessionId/presence/:jid', {
+  summary: 'Last known presence of a chat',
+  tags: ['Chats'],
+  params: objectSchema({ jid: schemas.recipient })
+}, verifyApiKey, async (req, res) => {
+  const jid = formatRecipient(req.params.jid);
+
+  const data = presences[req.params.sessionId]?.[jid];
+  if (!data) return sendError(res, 404, 'PRESENCE_NOT_FOUND', 'No presence known for this chat; subscribe first');
+
+  return res.json({ success: true, jid, data });
+});
+
+// ✅ Block / unblock a contact
+function blockHandler(action) {
+  return async (req, res) => {
+    const { sessionId } = req.params;
+
+    const sock = sockets[sessionId];
+    if (!sock?.isConnected) return sendNotConnected(res);
+
+    const jid = formatNumber(req.body.to);
+
+    try {
+      await sock.updateBlockStatus(jid, action);
+      return res.json({ success: true, jid, status: action === 'block' ? 'blocked' : 'unblocked' });
+    } catch (e) {
+      return sendInternalError(res, e);
+    }
+  };
+}
+
+const blockSpec = summary => ({ summary, tags: ['Contacts'], body: objectSchema({ to: schemas.phone }, ['to']) });
+
+route('post', '/api/v1/session/:sessionId/block', blockSpec('Block a contact'), verifyApiKey, blockHandler('block'));
+route('post', '/api/v1/session/:sessionId/unblock', blockSpec('Unblock a contact'), verifyApiKey, blockHandler('unblock'));
+
+// ✅ Blocked contacts
+route('get', '/api/v1/session/:sessionId/blocklist', { summary: 'Blocked contacts', tags: ['Contacts'] }, verifyApiKey, async (req, res) => {
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  try {
+    const data = await sock.fetchBlocklist();
+    return res.json({ success: true, data: data.filter(Boolean) });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Check if number exists on WhatsApp + name, profilePic, businessName
+route('get', '/api/v1/session/:sessionId/checkNumber', {
+  summary: 'Check whether a number is on WhatsApp',
+  tags: ['Contacts'],
+  query: objectSchema({ number: { type: 'string', format: 'phone' } }, ['number'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+
+  const sock = sockets[sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  const jid = formatNumber(req.query.number);
+
+  try {
+    const result = await sock.onWhatsApp(jid);
+    const exists = result?.[0]?.exists || false;
+
+    let profilePic = null;
+    try {
+      profilePic = await sock.profilePictureUrl(jid, 'image');
+    } catch {} // ignore privacy errors
+
+    let businessName = null;
+    try {
+      const biz = await sock.getBusinessProfile(jid);
+      businessName = biz?.businessProfile?.name || null;
+    } catch {}
+
+    let name = null;
+    try {
+      name = await sock.fetchName(jid);
+    } catch {}
+
+    return res.json({
+      exists,
+      jid,
+      name,
+      profilePic,
+      businessName
+    });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// ✅ Delete session
+route('delete', '/api/v1/session/:sessionId', { summary: 'Log out and delete a session', tags: ['Sessions'] }, verifyApiKey, async (req, res) => {
+  await deleteSession(req.params.sessionId);
+  return res.json({ success: true });
+});
+
+// ✅ RegexTriggers
+route('post', '/api/v1/session/:sessionId/regexTriggers', {
+  summary: 'Replace regex triggers',
+  tags: ['Rules'],
+  body: objectSchema({
+    triggers: {
+      type: 'array',
+      items: objectSchema({
+        name: { type: 'string', minLength: 1 },
+        regex: { type: 'string', minLength: 1, format: 'regex' },
+        scope: schemas.scope,
+        ...schemas.callbackOptions
+      }, ['name', 'regex', 'callback_url'])
+    }
+  }, ['triggers'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { triggers } = req.body;
+
+  for (const trigger of triggers) {
+    const error = validateCallbackOptions(trigger);
+    if (error) return sendValidationError(res, `Trigger ${trigger.name}: ${error}`);
+  }
+
+  const filePath = path.join(AUTH_DIR, sessionId, 'regexTriggers.json');
+  await fs.writeJson(filePath, triggers, { spaces: 2 });
+  regexTriggers[sessionId] = triggers;
+
+  return res.json({ success: true, count: triggers.length });
+});
+
+// ✅ GET autoReplies
+route('get', '/api/v1/session/:sessionId/autoReplies', { summary: 'List keyword auto-replies', tags: ['Rules'] }, verifyApiKey, async (req, res) => {
+  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'autoReplies.json');
+  if (fs.existsSync(filePath)) {
+    const replies = await fs.readJson(filePath);
+    return res.json({ success: true, data: replies });
+  } else {
+    return sendError(res, 404, 'CONFIG_NOT_FOUND', 'autoReplies.json not found');
+  }
+});
+
+// ✅ GET regexTriggers
+route('get', '/api/v1/session/:sessionId/regexTriggers', { summary: 'List regex triggers', tags: ['Rules'] }, verifyApiKey, async (req, res) => {
+  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'regexTriggers.json');
+  if (fs.existsSync(filePath)) {
+    const triggers = await fs.readJson(filePath);
+    return res.json({ success: true, data: triggers });
+  } else {
+    return sendError(res, 404, 'CONFIG_NOT_FOUND', 'regexTriggers.json not found');
+  }
+});
+
+// ✅ Rules (store in auth/<sessionId>/rules.json)
+route('post', '/api/v1/session/:sessionId/rules', {
+  summary: 'Replace the session rules',
+  tags: ['Rules'],
+  body: objectSchema({
+    rules: {
+      type: 'array',
+      items: objectSchema({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        priority: { type: 'integer' },
+        enabled: { type: 'boolean' },
+        stop: { type: 'boolean' },
+        match: objectSchema({ type: { type: 'string', enum: RULE_MATCH_TYPES } }, ['type']),
+        action: objectSchema({
+          type: { type: 'string', enum: RULE_ACTION_TYPES },
+          transactional: { type: 'boolean', description: 'Reply even if the sender opted out' }
+        }, ['type']),
+        conditions: objectSchema({
+          scope: { type: 'string', enum: RULE_SCOPES },
+          allowNumbers: { type: ['array', 'string'], items: { type: ['string', 'number'] } },
+          denyNumbers: { type: ['array', 'string'], items: { type: ['string', 'number'] } },
+          messageTypes: { type: 'array', items: { type: 'string', enum: Object.keys(RULE_MESSAGE_TYPES) } },
+          timeWindows: {
+            type: 'array',
+            items: objectSchema({
+              start: { type: 'string', description: 'HH:MM' },
+              end: { type: 'string', description: 'HH:MM' },
+              days: { type: 'array', items: { type: 'string' } },
+              timezone: { type: 'string' }
+            }, ['start', 'end'])
+          }
+        })
+      }, ['match', 'action'])
+    }
+  }, ['rules'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { rules: definitions } = req.body;
+
+  for (const rule of definitions) {
+    const error = validateRule(rule);
+    if (error) return sendValidationError(res, error);
+  }
+
+  const normalized = definitions.map(normalizeRule);
+  const ids = normalized.map(r => r.id);
+  if (new Set(ids).size !== ids.length) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Rule ids must be unique');
+  }
+
+  const filePath = path.join(AUTH_DIR, sessionId, 'rules.json');
+  await fs.outputJson(filePath, normalized, { spaces: 2 });
+  rules[sessionId] = normalized;
+
+  return res.json({ success: true, count: normalized.length, data: normalized });
+});
+
+// ✅ GET rules (effective = custom and legacy rules in evaluation order)
+route('get', '/api/v1/session/:sessionId/rules', { summary: 'List rules and the effective evaluation order', tags: ['Rules'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (rules[sessionId] === undefined) await loadRuleConfigs(sessionId);
+
+  return res.json({ success: true, data: rules[sessionId], effective: sessionRules(sessionId) });
+});
+
+// ✅ Dry run: which rules would fire for a sample message (nothing is sent)
+route('post', '/api/v1/session/:sessionId/rules/test', {
+  summary: 'Dry-run the rules against a sample message',
+  tags: ['Rules'],
+  body: objectSchema({
+    text: { type: 'string' },
+    from: schemas.phone,
+    group: { type: 'string', format: 'group-jid' },
+    messageType: { type: 'string', description: `One of ${Object.keys(RULE_MESSAGE_TYPES).join(', ')} or a Baileys message type` },
+    timestamp: schemas.dateTime
+  }, ['from'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { text, from, group, messageType, timestamp } = req.body;
+
+  const sender = formatNumber(from);
+  const groupJid = group ? formatGroupJid(group) : null;
+  const type = messageType ? RULE_MESSAGE_TYPES[messageType]?.[0] || messageType : 'conversation';
+  const at = timestamp ? Date.parse(timestamp) : Date.now();
+
+  if (rules[sessionId] === undefined) await loadRuleConfigs(sessionId);
+
+  const { fired, trace } = evaluateRules(sessionId, {
+    text: text || null,
+    sender,
+    isGroup: !!groupJid,
+    messageType: type,
+    timestamp: at
+  });
+
+  return res.json({
+    success: true,
+    data: {
+      fired: fired.map(({ rule, match }) => ({
+        id: rule.id,
+        name: rule.name,
+        source: rule.source,
+        priority: rule.priority,
+        stop: rule.stop,
+        action: rule.action,
+        keyword: match.keyword,
+        groups: match.groups
+      })),
+      trace
+    }
+  });
+});
+
+// ✅ Job status
+route('get', '/api/v1/session/:sessionId/jobs/:jobId', { summary: 'Send job status', tags: ['Queue'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, jobId } = req.params;
+  await loadSendQueue(sessionId);
+
+  const job = findJob(sessionId, jobId);
+  if (!job) return sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+
+  const { content, retryAt, ...data } = job;
+  const delivery = (await loadMessageStatuses(sessionId)).get(job.messageId);
+  return res.json({ success: true, data: { ...data, deliveryStatus: delivery?.status || null } });
+});
+
+// ✅ Delivery status of one sent message
+route('get', '/api/v1/session/:sessionId/messages/:messageId/status', { summary: 'Delivery status of a sent message', tags: ['Messages'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, messageId } = req.params;
+  const record = (await loadMessageStatuses(sessionId)).get(messageId);
+  if (!record) return sendError(res, 404, 'STATUS_NOT_FOUND', 'No status tracked for this message');
+
+  return res.json({ success: true, data: record });
+});
+
+// ✅ Delivery statuses, newest first (?recipient=<number or JID>&status=<status>&limit=)
+route('get', '/api/v1/session/:sessionId/statuses', {
+  summary: 'Delivery statuses, newest first',
+  tags: ['Messages'],
+  query: objectSchema({
+    recipient: schemas.recipient,
+    status: { type: 'string', enum: MESSAGE_STATUSES },
+    limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { recipient, status, limit } = req.query;
+
+  const jid = recipient ? formatRecipient(recipient) : null;
+
+  const data = [...(await loadMessageStatuses(sessionId)).values()]
+    .filter(r => (!jid || r.to === jid) && (!status || r.status === status))
+    .reverse()
+    .slice(0, limit);
+
+  return res.json({ success: true, count: data.length, data });
+});
+
+// ✅ Suppression list (opted-out recipients), newest first
+route('get', '/api/v1/session/:sessionId/suppressions', {
+  summary: 'List opted-out recipients, newest first',
+  tags: ['Suppressions'],
+  query: objectSchema({
+    source: { type: 'string', enum: ['api', 'import', 'keyword'] },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { source, offset, limit } = req.query;
+  const filtered = [...(await loadSuppressions(req.params.sessionId)).values()]
+    .filter(e => !source || e.source === source)
+    .reverse();
+
+  return res.json({ success: true, total: filtered.length, data: filtered.slice(offset, offset + limit) });
+});
+
+const suppressionNumbers = { type: 'array', items: schemas.phone, minItems: 1, maxItems: 1000 };
+
+route('post', '/api/v1/session/:sessionId/suppressions', {
+  summary: 'Add recipients to the suppression list',
+  tags: ['Suppressions'],
+  body: objectSchema({ numbers: suppressionNumbers, reason: { type: 'string' } }, ['numbers'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { numbers, reason } = req.body;
+  await loadSuppressions(sessionId);
+
+  const added = parseNumberList(numbers).filter(jid => addSuppression(sessionId, jid, { reason: reason || null }));
+  emitSuppressionUpdate(sessionId, 'added', 'api', added);
+
+  return res.json({ success: true, added: added.length, existing: numbers.length - added.length });
+});
+
+// ✅ Import a suppression list (CSV with a number or phone column, or a numbers array).
+// replace drops the current api/import entries first; keyword opt-outs are always kept.
+route('post', '/api/v1/session/:sessionId/suppressions/import', {
+  summary: 'Import a suppression list',
+  tags: ['Suppressions'],
+  body: {
+    ...objectSchema({
+      csv: { type: 'string', minLength: 1 },
+      numbers: { type: 'array', items: { type: ['string', 'number'] }, minItems: 1 },
+      reason: { type: 'string' },
+      replace: schemas.boolish
+    }),
+    anyOf: [{ required: ['csv'] }, { required: ['numbers'] }]
+  }
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { csv, numbers, reason } = req.body;
+  const replace = req.body.replace === true || req.body.replace === 'true';
+  const list = await loadSuppressions(sessionId);
+
+  const values = numbers
+    ? numbers.map(String)
+    : parseCsv(csv).map(row => row.number ?? row.phone ?? '');
+  const jids = [];
+  const invalid = [];
+  for (const value of values) {
+    const jid = formatNumber(value);
+    if (jid) jids.push(jid);
+    else invalid.push(value);
+  }
+  if (!jids.length) return sendValidationError(res, 'No valid phone numbers to import (CSV needs a number or phone column)', { invalid });
+
+  const removed = [];
+  if (replace) {
+    const keep = new Set(jids);
+    for (const [jid, entry] of list) {
+      if (entry.source !== 'keyword' && !keep.has(jid) && removeSuppression(sessionId, jid)) removed.push(jid);
+    }
+  }
+  const added = jids.filter(jid => addSuppression(sessionId, jid, { reason: reason || null, source: 'import' }));
+
+  emitSuppressionUpdate(sessionId, 'removed', 'import', removed);
+  emitSuppressionUpdate(sessionId, 'added', 'import', added);
+  sessionLog(sessionId).info(`Suppression import: ${added.length} added, ${removed.length} removed, ${invalid.length} invalid`);
+
+  return res.json({ success: true, added: added.length, removed: removed.length, existing: new Set(jids).size - added.length, invalid });
+});
+
+// ✅ Opt-out keywords and confirmations
+route('get', '/api/v1/session/:sessionId/suppressions/settings', { summary: 'Opt-out keyword settings', tags: ['Suppressions'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  await loadSuppressions(sessionId);
+  return res.json({ success: true, settings: suppressionSettings[sessionId] });
+});
+
+const keywordList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+route('post', '/api/v1/session/:sessionId/suppressions/settings', {
+  summary: 'Update opt-out keywords and confirmations',
+  tags: ['Suppressions'],
+  body: objectSchema({
+    optOutKeywords: keywordList,
+    optInKeywords: keywordList,
+    optOutReply: { type: 'string', description: 'Empty to send no confirmation' },
+    optInReply: { type: 'string', description: 'Empty to send no confirmation' }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  await loadSuppressions(sessionId);
+
+  const settings = { ...suppressionSettings[sessionId] };
+  for (const field of ['optOutKeywords', 'optInKeywords']) {
+    if (req.body[field] !== undefined) settings[field] = req.body[field].map(k => k.trim()).filter(Boolean);
+  }
+  for (const field of ['optOutReply', 'optInReply']) {
+    if (req.body[field] !== undefined) settings[field] = req.body[field];
+  }
+
+  const optOut = new Set(settings.optOutKeywords.map(k => k.toUpperCase()));
+  const overlap = settings.optInKeywords.filter(k => optOut.has(k.toUpperCase()));
+  if (overlap.length) return sendValidationError(res, `Keywords cannot be both opt-out and opt-in: ${overlap.join(', ')}`);
+
+  suppressionSettings[sessionId] = settings;
+  await fs.outputJson(path.join(AUTH_DIR, sessionId, 'suppressionSettings.json'), settings, { spaces: 2 });
+
+  return res.json({ success: true, settings });
+});
+
+const suppressionParams = objectSchema({ number: schemas.phone });
+
+route('get', '/api/v1/session/:sessionId/suppressions/:number', {
+  summary: 'Check whether a recipient opted out',
+  tags: ['Suppressions'],
+  params: suppressionParams
+}, verifyApiKey, async (req, res) => {
+  const entry = (await loadSuppressions(req.params.sessionId)).get(formatNumber(req.params.number));
+  if (!entry) return sendError(res, 404, 'SUPPRESSION_NOT_FOUND', 'Number is not on the suppression list');
+
+  return res.json({ success: true, data: entry });
+});
+
+route('delete', '/api/v1/session/:sessionId/suppressions/:number', {
+  summary: 'Remove a recipient from the suppression list',
+  tags: ['Suppressions'],
+  params: suppressionParams
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const jid = formatNumber(req.params.number);
+  await loadSuppressions(sessionId);
+  if (!removeSuppression(sessionId, jid)) return sendError(res, 404, 'SUPPRESSION_NOT_FOUND', 'Number is not on the suppression list');
+
+  emitSuppressionUpdate(sessionId, 'removed', 'api', [jid]);
+  return res.json({ success: true, message: 'Removed from the suppression list' });
+});
+
+// ✅ Usage report: quota use right now, and totals per UTC day and message type
+route('get', '/api/v1/session/:sessionId/usage', {
+  summary: 'Quota use and daily usage totals',
+  tags: ['Usage'],
+  query: objectSchema({ days: { type: 'integer', minimum: 1, maximum: USAGE_RETENTION_DAYS, default: 30 } })
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const usage = await loadUsage(sessionId);
+  const now = Date.now();
+
+  const quotas = {};
+  for (const check of [...quotaChecks(sessionId, usage, 'message', now, true), ...quotaChecks(sessionId, usage, 'callback', now)]) {
+    quotas[check.quota] = {
+      limit: check.limit || null,
+      used: check.used,
+      remaining: check.limit ? Math.max(check.limit - check.used, 0) : null,
+      resetAt: new Date(check.resetAt).toISOString()
+    };
+  }
+
+  const since = new Date(now - (req.query.days - 1) * 86400000).toISOString().slice(0, 10);
+  const days = Object.values(usage.days).filter(d => d.date >= since).sort((a, b) => b.date.localeCompare(a.date));
+  const totals = { messages: 0, byType: {}, newRecipients: 0, callbacks: 0, rejected: 0 };
+  for (const day of days) {
+    for (const field of ['messages', 'newRecipients', 'callbacks', 'rejected']) totals[field] += day[field];
+    for (const [type, count] of Object.entries(day.byType)) totals.byType[type] = (totals.byType[type] || 0) + count;
+  }
+
+  return res.json({ success: true, quotas, totals, days });
+});
+
+// ✅ Log level for one session (resets to LOG_LEVEL/BAILEYS_LOG_LEVEL on restart)
+route('get', '/api/v1/session/:sessionId/logLevel', { summary: 'Current log levels', tags: ['Sessions'] }, verifyApiKey, (req, res) => {
+  const { app: appLogger, baileys } = sessionLoggerPair(req.params.sessionId);
+  return res.json({ success: true, level: appLogger.level, baileysLevel: baileys.level });
+});
+
+route('post', '/api/v1/session/:sessionId/logLevel', {
+  summary: 'Change log levels until restart',
+  tags: ['Sessions'],
+  body: {
+    ...objectSchema({ level: { type: 'string', enum: LOG_LEVELS }, baileysLevel: { type: 'string', enum: LOG_LEVELS } }),
+    anyOf: [{ required: ['level'] }, { required: ['baileysLevel'] }]
+  }
+}, verifyApiKey, (req, res) => {
+  const { sessionId } = req.params;
+  const { level, baileysLevel } = req.body;
+
+  const loggers = sessionLoggerPair(sessionId);
+  if (level) loggers.app.level = level;
+  if (baileysLevel) loggers.baileys.level = baileysLevel;
+  loggers.app.info({ level: loggers.app.level, baileysLevel: loggers.baileys.level }, 'Log level changed');
+
+  return res.json({ success: true, level: loggers.app.level, baileysLevel: loggers.baileys.level });
+});
+
+// ✅ Queue overview
+route('get', '/api/v1/session/:sessionId/queue', { summary: 'Queue settings and job counts', tags: ['Queue'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const jobs = await loadSendQueue(sessionId);
+
+  const counts = { queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+  for (const job of jobs) counts[job.status] = (counts[job.status] || 0) + 1;
+
+  return res.json({ success: true, settings: queueSettings[sessionId], counts });
+});
+
+// ✅ Queue settings (store in auth/<sessionId>/queueSettings.json)
+route('post', '/api/v1/session/:sessionId/queue/settings', {
+  summary: 'Update queue rate, jitter and retry settings',
+  tags: ['Queue'],
+  body: objectSchema({
+    ratePerMinute: { type: 'number', exclusiveMinimum: 0 },
+    jitterMs: { type: 'number', minimum: 0 },
+    maxAttempts: { type: 'integer', minimum: 1 }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { ratePerMinute, jitterMs, maxAttempts } = req.body;
+  await loadSendQueue(sessionId);
+
+  const settings = { ...queueSettings[sessionId] };
+  if (ratePerMinute !== undefined) settings.ratePerMinute = ratePerMinute;
+  if (jitterMs !== undefined) settings.jitterMs = jitterMs;
+  if (maxAttempts !== undefined) settings.maxAttempts = maxAttempts;
+
+  queueSettings[sessionId] = settings;
+  await fs.outputJson(path.join(AUTH_DIR, sessionId, 'queueSettings.json'), settings, { spaces: 2 });
+
+  return res.json({ success: true, settings });
+});
+
+// ✅ Campaigns - create
+route('post', '/api/v1/session/:sessionId/campaigns', {
+  summary: 'Create a bulk campaign',
+  tags: ['Campaigns'],
+  status: 201,
+  body: {
+    ...objectSchema({
+      name: { type: 'string' },
+      template: {
+        ...objectSchema({
+          type: { type: 'string', enum: CAMPAIGN_TEMPLATE_TYPES },
+          text: { type: 'string', minLength: 1 },
+          url: { type: 'string', minLength: 1, description: 'Media URL or base64, may use {{variables}}' },
+          caption: { type: 'string' }
+        }, ['type']),
+        if: objectSchema({ type: { const: 'text' } }),
+        then: { required: ['text'] },
+        else: { required: ['url'] }
+      },
+      recipients: { type: 'array', items: { type: ['string', 'number', 'object'] }, description: 'Numbers, or objects with "number" and template variables' },
+      csv: { type: 'string', description: 'CSV with a "number" column, used when recipients is not given' },
+      startAt: schemas.dateTime,
+      ratePerMinute: { type: 'number', exclusiveMinimum: 0 }
+    }, ['template']),
+    anyOf: [{ required: ['recipients'] }, { required: ['csv'] }]
+  }
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { name, template, recipients, csv, startAt, ratePerMinute } = req.body;
+
+  const list = recipients || parseCsv(csv);
+  if (list.length === 0) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Recipient list is empty');
+  }
+
+  await loadCampaigns(sessionId);
+  await loadSendQueue(sessionId);
+
+  const now = new Date().toISOString();
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: name || 'Untitled campaign',
+    status: 'scheduled',
+    template,
+    startAt: startAt ? new Date(startAt).toISOString() : now,
+    ratePerMinute: ratePerMinute || queueSettings[sessionId].ratePerMinute,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    completedAt: null,
+    recipients: buildCampaignRecipients(list)
+  };
+
+  campaigns[sessionId].set(campaign.id, campaign);
+  saveCampaign(sessionId, campaign);
+  scheduleCampaign(sessionId, campaign);
+  sessionLog(sessionId).info(`Campaign ${campaign.id} created with ${campaign.recipients.length} recipients`);
+
+  return res.status(201).json({ success: true, data: campaignSummary(campaign) });
+});
+
+// ✅ GET campaigns
+route('get', '/api/v1/session/:sessionId/campaigns', { summary: 'List campaigns', tags: ['Campaigns'] }, verifyApiKey, async (req, res) => {
+  const list = await loadCampaigns(req.params.sessionId);
+  return res.json({ success: true, data: [...list.values()].map(campaignSummary) });
+});
+
+// ✅ GET campaign (aggregate counts)
+route('get', '/api/v1/session/:sessionId/campaigns/:campaignId', { summary: 'Campaign with aggregate counts', tags: ['Campaigns'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, campaignId } = req.params;
+  const campaign = (await loadCampaigns(sessionId)).get(campaignId);
+  if (!campaign) return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+
+  return res.json({ success: true, data: campaignSummary(campaign) });
+});
+
+// ✅ GET campaign recipients (per-recipient results)
+route('get', '/api/v1/session/:sessionId/campaigns/:campaignId/recipients', {
+  summary: 'Per-recipient campaign results',
+  tags: ['Campaigns'],
+  query: objectSchema({
+    status: { type: 'string', description: 'Recipient status or delivery status' },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { sessionId, campaignId } = req.params;
+  const { status, offset, limit } = req.query;
+  const campaign = (await loadCampaigns(sessionId)).get(campaignId);
+  if (!campaign) return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+
+  const filtered = campaign.recipients.filter(r => !status || r.status === status || r.delivery === status);
+
+  return res.json({ success: true, total: filtered.length, data: filtered.slice(offset, offset + limit) });
+});
+
+// ✅ Pause campaign
+route('post', '/api/v1/session/:sessionId/campaigns/:campaignId/pause', { summary: 'Pause a campaign', tags: ['Campaigns'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, campaignId } = req.params;
+  const campaign = (await loadCampaigns(sessionId)).get(campaignId);
+  if (!campaign) return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+
+  if (!['scheduled', 'running'].includes(campaign.status)) {
+    return sendError(res, 409, 'INVALID_STATE', `Cannot pause a ${campaign.status} campaign`);
+  }
+
+  clearTimeout(campaignTimers[`${sessionId}:${campaignId}`]);
+  campaign.status = 'paused';
+  saveCampaign(sessionId, campaign);
+
+  return res.json({ success: true, data: campaignSummary(campaign) });
+});
+
+// ✅ Resume campaign
+route('post', '/api/v1/session/:sessionId/campaigns/:campaignId/resume', { summary: 'Resume a paused campaign', tags: ['Campaigns'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, campaignId } = req.params;
+  const campaign = (await loadCampaigns(sessionId)).get(campaignId);
+  if (!campaign) return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+
+  if (campaign.status !== 'paused') {
+    return sendError(res, 409, 'INVALID_STATE', `Cannot resume a ${campaign.status} campaign`);
+  }
+
+  if (!campaign.startedAt && Date.parse(campaign.startAt) > Date.now()) {
+    campaign.status = 'scheduled';
+    scheduleCampaign(sessionId, campaign);
+  } else {
+    campaign.status = 'running';
+    campaign.startedAt = campaign.startedAt || new Date().toISOString();
+    runCampaign(sessionId, campaignId);
+  }
+  saveCampaign(sessionId, campaign);
+
+  return res.json({ success: true, data: campaignSummary(campaign) });
+});
+
+// ✅ Cancel campaign (drops pending recipients and their queued jobs)
+route('post', '/api/v1/session/:sessionId/campaigns/:campaignId/cancel', { summary: 'Cancel a campaign and its queued jobs', tags: ['Campaigns'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, campaignId } = req.params;
+  const campaign = (await loadCampaigns(sessionId)).get(campaignId);
+  if (!campaign) return sendError(res, 404, 'CAMPAIGN_NOT_FOUND', 'Campaign not found');
+
+  if (['completed', 'cancelled'].includes(campaign.status)) {
+    return sendError(res, 409, 'INVALID_STATE', `Campaign is already ${campaign.status}`);
+  }
+
+  clearTimeout(campaignTimers[`${sessionId}:${campaignId}`]);
+  campaign.status = 'cancelled';
+  campaign.completedAt = new Date().toISOString();
+
+  for (const job of await loadSendQueue(sessionId)) {
+    if (job.meta?.campaignId === campaignId && job.status === 'queued') {
+      job.status = 'cancelled';
+      job.updatedAt = new Date().toISOString();
+      updateMessageStatus(sessionId, job.messageId, 'failed', { error: 'cancelled' });
+    }
+  }
+  saveSendQueue(sessionId);
+
+  for (const recipient of campaign.recipients) {
+    if (recipient.status === 'pending' || recipient.status === 'queued') {
+      recipient.status = 'cancelled';
+      recipient.updatedAt = new Date().toISOString();
+    }
   }
+  saveCampaign(sessionId, campaign);
+
+  return res.json({ success: true, data: campaignSummary(campaign) });
 });
 
-// Check status
-app.get('/api/v1/session/:sessionId/status', verifyApiKey, (req, res) => {
+// ✅ Schedules - create (one-time sendAt + timezone, or cron recurrence)
+// A one-time schedule ends completed, missed (skipped by missedRunPolicy), failed (its message
+// could not be queued; see lastError) or cancelled
+const SCHEDULE_STATUSES = ['active', 'completed', 'missed', 'failed', 'cancelled'];
+
+const scheduleProperties = {
+  to: schemas.recipient,
+  type: { type: 'string', enum: MESSAGE_TYPES },
+  message: { type: 'object', description: 'Fields for the message type, as for the send routes (media as a URL or base64)' },
+  sendAt: { type: 'string', description: 'One-time: ISO date/time, read in timezone when it has no offset' },
+  cron: { type: 'string', description: 'Recurring: cron expression' },
+  timezone: { type: 'string' },
+  missedRunPolicy: { type: 'string', enum: ['run', 'skip'] },
+  transactional: { ...schemas.boolish, description: 'Send even if the recipient opted out' }
+};
+
+route('post', '/api/v1/session/:sessionId/schedules', {
+  summary: 'Schedule a one-time or recurring message',
+  tags: ['Schedules'],
+  status: 201,
+  body: objectSchema(scheduleProperties, ['to', 'type', 'message'])
+}, verifyApiKey, async (req, res) => {
   const { sessionId } = req.params;
-  const sock = sockets[sessionId];
-  
-  res.json({
-    success: true,
-    connected: sock?.isConnected || false,
-    sessionId: sessionId
-  });
+
+  const fields = normalizeSchedule(req.body);
+  if (fields.error) return sendValidationError(res, fields.error);
+
+  const list = await loadSchedules(sessionId);
+  const now = new Date().toISOString();
+  const schedule = {
+    id: crypto.randomUUID(),
+    ...fields,
+    status: 'active',
+    runCount: 0,
+    lastRunAt: null,
+    lastJobId: null,
+    lastMessageId: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  list.push(schedule);
+  await saveSchedules(sessionId);
+  sessionLog(sessionId).info(`Schedule ${schedule.id} created, next run ${schedule.nextRunAt}`);
+
+  return res.status(201).json({ success: true, data: schedule });
 });
 
-// ✅ Text Message
-app.post('/api/v1/session/:sessionId/sendText', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
-  const { to, text } = req.body;
+// ✅ GET schedules
+route('get', '/api/v1/session/:sessionId/schedules', {
+  summary: 'List schedules',
+  tags: ['Schedules'],
+  query: objectSchema({
+    status: { type: 'string', enum: SCHEDULE_STATUSES, description: 'failed: a one-time message that could not be queued (see lastError)' }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { status } = req.query;
+  const list = await loadSchedules(req.params.sessionId);
+  return res.json({ success: true, data: list.filter(s => !status || s.status === status) });
+});
 
-  const sock = sockets[sessionId];
-  if (!sock?.isConnected) return res.status(409).json({ error: 'Not connected' });
+// ✅ GET schedule
+route('get', '/api/v1/session/:sessionId/schedules/:scheduleId', { summary: 'Get a schedule', tags: ['Schedules'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, scheduleId } = req.params;
+  const schedule = (await loadSchedules(sessionId)).find(s => s.id === scheduleId);
+  if (!schedule) return sendError(res, 404, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+
+  return res.json({ success: true, data: schedule });
+});
+
+// ✅ Edit schedule
+route('patch', '/api/v1/session/:sessionId/schedules/:scheduleId', {
+  summary: 'Edit an active schedule',
+  tags: ['Schedules'],
+  body: objectSchema(scheduleProperties)
+}, verifyApiKey, async (req, res) => {
+  const { sessionId, scheduleId } = req.params;
+  const schedule = (await loadSchedules(sessionId)).find(s => s.id === scheduleId);
+  if (!schedule) return sendError(res, 404, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+
+  if (schedule.status !== 'active') {
+    return sendError(res, 409, 'INVALID_STATE', `Cannot edit a ${schedule.status} schedule`);
+  }
+
+  const merged = { ...schedule, ...req.body };
+  // Switching between one-time and recurring replaces the other field
+  if (req.body.cron) merged.sendAt = null;
+  if (req.body.sendAt) merged.cron = null;
+
+  const fields = normalizeSchedule(merged);
+  if (fields.error) return sendValidationError(res, fields.error);
+
+  Object.assign(schedule, fields, { updatedAt: new Date().toISOString() });
+  await saveSchedules(sessionId);
+
+  return res.json({ success: true, data: schedule });
+});
+
+// ✅ Cancel schedule
+route('delete', '/api/v1/session/:sessionId/schedules/:scheduleId', { summary: 'Cancel a schedule', tags: ['Schedules'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, scheduleId } = req.params;
+  const schedule = (await loadSchedules(sessionId)).find(s => s.id === scheduleId);
+  if (!schedule) return sendError(res, 404, 'SCHEDULE_NOT_FOUND', 'Schedule not found');
+
+  schedule.status = 'cancelled';
+  schedule.nextRunAt = null;
+  schedule.updatedAt = new Date().toISOString();
+  await saveSchedules(sessionId);
 
-  const jid = formatNumber(to);
-  if (!jid) return res.status(400).json({ error: 'Invalid phone number' });
+  return res.json({ success: true, data: schedule });
+});
+
+// ✅ Groups - list joined groups
+route('get', '/api/v1/session/:sessionId/groups', { summary: 'List joined groups', tags: ['Groups'] }, verifyApiKey, async (req, res) => {
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
 
   try {
-    await new Promise(r => setTimeout(r, 1500)); // Delay to mimic human
-    await sock.sendMessage(jid, { text });
-    return res.json({ success: true });
+    const groups = await sock.groupFetchAllParticipating();
+    const data = Object.values(groups).map(g => ({
+      id: g.id,
+      subject: g.subject,
+      owner: g.owner || null,
+      creation: g.creation || null,
+      size: g.size || g.participants?.length || 0,
+      announce: !!g.announce,
+      restrict: !!g.restrict
+    }));
+    return res.json({ success: true, data });
   } catch (e) {
-    return res.status(500).json({ error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ Send Image (URL or base64) with optional caption
-app.post('/api/v1/session/:sessionId/sendImage', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
-  const { to, image, caption } = req.body;
+// ✅ Create group
+const groupParams = objectSchema({ groupJid: { type: 'string', format: 'group-jid' } });
+const groupParticipants = { type: 'array', minItems: 1, items: schemas.phone };
 
-  const sock = sockets[sessionId];
-  if (!sock?.isConnected) return res.status(409).json({ error: 'not connected' });
+route('post', '/api/v1/session/:sessionId/groups', {
+  summary: 'Create a group',
+  tags: ['Groups'],
+  status: 201,
+  body: objectSchema({ subject: { type: 'string', minLength: 1 }, participants: groupParticipants }, ['subject', 'participants'])
+}, verifyApiKey, async (req, res) => {
+  const { subject, participants } = req.body;
+
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  const jids = participants.map(formatNumber);
 
   try {
-    await sock.sendMessage(`${to}@s.whatsapp.net`, {
-      image: { url: image },
-      caption: caption || ''
-    });
-    return res.json({ success: true });
+    const group = await sock.groupCreate(subject, jids);
+    return res.status(201).json({ success: true, data: group });
   } catch (e) {
-    return res.status(500).json({ error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ Auto Replies (store in auth/<sessionId>/autoReplies.json)
-app.post('/api/v1/session/:sessionId/autoReplies', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
-  const { replies, saveToAuth } = req.body;
+// ✅ Group metadata + participants
+route('get', '/api/v1/session/:sessionId/groups/:groupJid', {
+  summary: 'Group metadata and participants',
+  tags: ['Groups'],
+  params: groupParams
+}, verifyApiKey, async (req, res) => {
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
 
-  if (!Array.isArray(replies)) {
-    return res.status(400).json({ error: 'replies must be an array' });
+  const jid = formatGroupJid(req.params.groupJid);
+
+  try {
+    const metadata = await sock.groupMetadata(jid);
+    return res.json({ success: true, data: metadata });
+  } catch (e) {
+    return sendInternalError(res, e);
   }
+});
 
-  const formattedReplies = replies.map(r => ({
-    keyword: r.keyword.toLowerCase(),
-    reply: r.reply
-  }));
+// ✅ Add / remove / promote / demote participants
+route('post', '/api/v1/session/:sessionId/groups/:groupJid/participants', {
+  summary: 'Add, remove, promote or demote participants',
+  tags: ['Groups'],
+  params: groupParams,
+  body: objectSchema({
+    action: { type: 'string', enum: ['add', 'remove', 'promote', 'demote'] },
+    participants: groupParticipants
+  }, ['action', 'participants'])
+}, verifyApiKey, async (req, res) => {
+  const { action, participants } = req.body;
 
-  autoReplies[sessionId] = formattedReplies;
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
 
-  if (saveToAuth) {
-    const filePath = path.join(AUTH_DIR, sessionId, 'autoReplies.json');
-    await fs.writeJson(filePath, formattedReplies, { spaces: 2 });
-    console.log(`[${sessionId}] 💾 AutoReplies saved to ${filePath}`);
-  }
+  const jid = formatGroupJid(req.params.groupJid);
+  const jids = participants.map(formatNumber);
 
-  return res.json({ success: true, count: formattedReplies.length });
+  try {
+    const result = await sock.groupParticipantsUpdate(jid, jids, action);
+    return res.json({ success: true, data: result });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
 });
 
-// ✅ Send PDF/Doc with optional caption
-app.post('/api/v1/session/:sessionId/sendDocument', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
-  const { to, document, mimetype, filename, caption } = req.body;
+// ✅ Update group subject
+route('post', '/api/v1/session/:sessionId/groups/:groupJid/subject', {
+  summary: 'Rename a group',
+  tags: ['Groups'],
+  params: groupParams,
+  body: objectSchema({ subject: { type: 'string', minLength: 1 } }, ['subject'])
+}, verifyApiKey, async (req, res) => {
+  const { subject } = req.body;
 
-  const sock = sockets[sessionId];
-  if (!sock?.isConnected) return res.status(409).json({ error: 'not connected' });
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
+
+  const jid = formatGroupJid(req.params.groupJid);
 
   try {
-    await sock.sendMessage(`${to}@s.whatsapp.net`, {
-      document: { url: document },
-      fileName: filename || 'file.pdf',
-      mimetype: mimetype || 'application/pdf',
-      caption: caption || ''
-    });
+    await sock.groupUpdateSubject(jid, subject);
     return res.json({ success: true });
   } catch (e) {
-    return res.status(500).json({ error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ Send Location
-app.post('/api/v1/session/:sessionId/sendLocation', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
-  const { to, latitude, longitude, name } = req.body;
+// ✅ Update group description (empty string clears it)
+route('post', '/api/v1/session/:sessionId/groups/:groupJid/description', {
+  summary: 'Set or clear the group description',
+  tags: ['Groups'],
+  params: groupParams,
+  body: objectSchema({ description: { type: 'string', description: 'Empty string clears it' } }, ['description'])
+}, verifyApiKey, async (req, res) => {
+  const { description } = req.body;
 
-  const sock = sockets[sessionId];
-  if (!sock?.isConnected) return res.status(409).json({ error: 'not connected' });
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
 
-  const jid = formatNumber(to);
-  if (!jid) return res.status(400).json({ error: 'Invalid phone number' });
+  const jid = formatGroupJid(req.params.groupJid);
 
   try {
-    await sock.sendMessage(jid, {
-      location: {
-        degreesLatitude: parseFloat(latitude),
-        degreesLongitude: parseFloat(longitude),
-        name: name || 'Shared Location'
-      }
-    });
+    await sock.groupUpdateDescription(jid, description || undefined);
     return res.json({ success: true });
   } catch (e) {
-    return res.status(500).json({ error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ Reconnect (safe reconnect, no logout)
-app.post('/api/v1/session/:sessionId/reconnect', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
+// ✅ Get group invite link
+route('get', '/api/v1/session/:sessionId/groups/:groupJid/invite', {
+  summary: 'Group invite link',
+  tags: ['Groups'],
+  params: groupParams
+}, verifyApiKey, async (req, res) => {
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
 
-  try {
-    const sock = sockets[sessionId];
+  const jid = formatGroupJid(req.params.groupJid);
 
-    if (!sock) {
-      return res.status(404).json({ success: false, message: 'Session not found' });
-    }
+  try {
+    const code = await sock.groupInviteCode(jid);
+    return res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
 
-    if (sock.isConnected) {
-      return res.json({ success: true, message: 'Already connected' });
-    }
+// ✅ Revoke group invite link (returns the new one)
+route('post', '/api/v1/session/:sessionId/groups/:groupJid/invite/revoke', {
+  summary: 'Revoke the invite link and return the new one',
+  tags: ['Groups'],
+  params: groupParams
+}, verifyApiKey, async (req, res) => {
+  const sock = sockets[req.params.sessionId];
+  if (!sock?.isConnected) return sendNotConnected(res);
 
-    console.log(`[${sessionId}] 🔄 Reconnecting safely...`);
-    await connectSession(sessionId);
+  const jid = formatGroupJid(req.params.groupJid);
 
-    return res.json({ success: true, message: 'Reconnected successfully' });
+  try {
+    const code = await sock.groupRevokeInvite(jid);
+    return res.json({ success: true, code, link: `https://chat.whatsapp.com/${code}` });
   } catch (e) {
-    return res.status(500).json({ success: false, error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ RegexTriggersPro
-app.post('/api/v1/session/:sessionId/regexTriggersPro', verifyApiKey, async (req, res) => {
-  const { sessionId } = req.params;
-  const { triggers } = req.body;
+// ✅ Stream stored media
+route('get', '/api/v1/session/:sessionId/media/:mediaId', { summary: 'Download stored inbound media', tags: ['Media'], response: 'The media file' }, verifyApiKey, async (req, res) => {
+  const { sessionId, mediaId } = req.params;
+  const list = await loadMediaIndex(sessionId);
 
-  if (!Array.isArray(triggers)) {
-    return res.status(400).json({ error: 'triggers must be an array' });
+  const entry = list.find(m => m.id === mediaId);
+  const filePath = entry && path.join(AUTH_DIR, sessionId, 'media', entry.file);
+  if (!entry || !fs.existsSync(filePath)) {
+    return sendError(res, 404, 'MEDIA_NOT_FOUND', 'Media not found');
   }
 
-  for (const trigger of triggers) {
-    if (!trigger.name || !trigger.regex || !trigger.callback_url || !trigger.target_number) {
-      return res.status(400).json({ error: 'Each trigger must include name, regex, callback_url, and target_number' });
-    }
+  res.set({
+    'Content-Type': entry.mimetype,
+    'Content-Length': entry.size,
+    'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(entry.fileName || entry.file)}`
+  });
+  fs.createReadStream(filePath).pipe(res);
+});
+
+// ✅ Message history for a chat (newest first, cursor paginated)
+route('get', '/api/v1/session/:sessionId/chats/:jid/messages', {
+  summary: 'Message history for a chat, newest first',
+  tags: ['Chats'],
+  query: objectSchema({
+    cursor: { type: 'string', description: 'nextCursor from the previous page' },
+    direction: { type: 'string', enum: ['in', 'out'] },
+    type: { type: 'string', description: 'Message type, e.g. image or imageMessage' },
+    from: { type: 'string', description: 'ISO date or unix timestamp' },
+    to: { type: 'string', description: 'ISO date or unix timestamp' },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+  })
+}, verifyApiKey, async (req, res) => {
+  const { sessionId, jid } = req.params;
+  const { cursor, direction, type, limit } = req.query;
+
+  const chatJid = jid.includes('@') ? jid : formatNumber(jid);
+  if (!chatJid) return sendError(res, 400, 'INVALID_RECIPIENT', 'Invalid jid or phone number');
+
+  const from = parseDateParam(req.query.from);
+  const to = parseDateParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'from/to must be ISO dates or unix timestamps');
   }
 
-  const filePath = path.join(AUTH_DIR, sessionId, 'regexTriggersPro.json');
-  await fs.writeJson(filePath, triggers, { spaces: 2 });
-  regexTriggersPro[sessionId] = triggers;
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) return sendError(res, 400, 'VALIDATION_ERROR', 'Invalid cursor');
 
-  return res.json({ success: true, count: triggers.length });
+  const store = await loadMessageStore(sessionId);
+
+  const matches = [...store.values()]
+    .filter(m => m.remoteJid === chatJid)
+    .filter(m => !direction || m.direction === direction)
+    .filter(m => !type || m.type === type || m.type === `${type}Message`)
+    .filter(m => from === null || m.timestamp >= from)
+    .filter(m => to === null || m.timestamp <= to)
+    .sort((a, b) => b.timestamp - a.timestamp || (b.id < a.id ? -1 : 1))
+    .filter(m => !after || m.timestamp < after.t || (m.timestamp === after.t && m.id < after.id));
+
+  const data = matches.slice(0, limit);
+  const nextCursor = matches.length > limit ? encodeCursor(data[data.length - 1]) : null;
+
+  return res.json({ success: true, data, nextCursor });
 });
 
-app.get('/api/v1/session/:sessionId/regexTriggersPro', verifyApiKey, async (req, res) => {
-  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'regexTriggersPro.json');
-  if (fs.existsSync(filePath)) {
-    const triggers = await fs.readJson(filePath);
-    return res.json({ success: true, triggers });
-  } else {
-    return res.json({ success: true, triggers: [] });
+// ✅ Webhooks - register (store in auth/<sessionId>/webhooks.json)
+route('post', '/api/v1/session/:sessionId/webhooks', {
+  summary: 'Register a webhook (the secret is only returned here)',
+  tags: ['Webhooks'],
+  body: objectSchema({
+    url: schemas.url,
+    events: { type: 'array', minItems: 1, items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS, ...SERVER_EVENTS] } },
+    secret: { type: 'string', minLength: 1, description: 'Generated when omitted' }
+  }, ['url', 'events'])
+}, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { url, events, secret } = req.body;
+
+  if (!webhooks[sessionId]) await loadWebhooks(sessionId);
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    secret: secret || crypto.randomBytes(24).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  webhooks[sessionId].push(webhook);
+  await saveWebhooks(sessionId);
+  sessionLog(sessionId).info(`Webhook registered: ${url} (${events.join(', ')})`);
+
+  // Secret is only returned once, on registration
+  return res.json({ success: true, webhook });
+});
+
+// ✅ GET webhooks
+route('get', '/api/v1/session/:sessionId/webhooks', { summary: 'List webhooks', tags: ['Webhooks'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!webhooks[sessionId]) await loadWebhooks(sessionId);
+
+  const data = webhooks[sessionId].map(({ secret, ...webhook }) => webhook);
+  return res.json({ success: true, data });
+});
+
+// ✅ Webhook dead letters - inspect failed deliveries
+route('get', '/api/v1/session/:sessionId/webhooks/deadLetters', { summary: 'Failed webhook deliveries', tags: ['Webhooks'] }, verifyApiKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!webhookDeadLetters[sessionId]) await loadWebhooks(sessionId);
+
+  return res.json({ success: true, data: webhookDeadLetters[sessionId] });
+});
+
+// ✅ Replay a dead letter
+route('post', '/api/v1/session/:sessionId/webhooks/deadLetters/:deliveryId/replay', { summary: 'Replay a failed delivery', tags: ['Webhooks'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, deliveryId } = req.params;
+  if (!webhookDeadLetters[sessionId]) await loadWebhooks(sessionId);
+
+  const deadLetters = webhookDeadLetters[sessionId];
+  const index = deadLetters.findIndex(d => d.id === deliveryId);
+  if (index === -1) {
+    return sendError(res, 404, 'DEAD_LETTER_NOT_FOUND', 'Dead letter not found');
+  }
+
+  const webhook = webhooks[sessionId].find(w => w.id === deadLetters[index].webhookId);
+  if (!webhook) {
+    return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook for this dead letter no longer exists');
   }
+
+  const [deadLetter] = deadLetters.splice(index, 1);
+  await saveWebhookDeadLetters(sessionId);
+
+  // Goes back through the normal retry/backoff cycle
+  deliverWebhook(sessionId, webhook, deadLetter.payload);
+
+  return res.json({ success: true, message: 'Replay scheduled' });
 });
 
-// ✅ Set Disappearing Messages
-app.post('/api/v1/session/:sessionId/setDisappearing', verifyApiKey, async (req, res) => {
+// ✅ Clear dead letters
+route('delete', '/api/v1/session/:sessionId/webhooks/deadLetters', { summary: 'Clear failed deliveries', tags: ['Webhooks'] }, verifyApiKey, async (req, res) => {
   const { sessionId } = req.params;
-  const { to, duration } = req.body;
 
-  const sock = sockets[sessionId];
-  if (!sock?.isConnected) return res.status(409).json({ error: 'Not connected' });
+  webhookDeadLetters[sessionId] = [];
+  await saveWebhookDeadLetters(sessionId);
+
+  return res.json({ success: true });
+});
+
+// ✅ Delete webhook
+route('delete', '/api/v1/session/:sessionId/webhooks/:webhookId', { summary: 'Delete a webhook', tags: ['Webhooks'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, webhookId } = req.params;
+  if (!webhooks[sessionId]) await loadWebhooks(sessionId);
+
+  const index = webhooks[sessionId].findIndex(w => w.id === webhookId);
+  if (index === -1) {
+    return sendError(res, 404, 'WEBHOOK_NOT_FOUND', 'Webhook not found');
+  }
+
+  webhooks[sessionId].splice(index, 1);
+  await saveWebhooks(sessionId);
+
+  return res.json({ success: true });
+});
+
+// ✅ ADMIN API (master key from ADMIN_KEY)
+
+// List sessions with connection state
+const keyScopes = { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: API_KEY_SCOPES } };
+const sessionIdField = { type: 'string', format: 'session-id' };
+
+route('get', '/api/v1/admin/sessions', { summary: 'List sessions', tags: ['Admin'] }, verifyAdminKey, (req, res) => {
+  const data = Object.entries(sessions).map(([sessionId, session]) => ({
+    sessionId,
+    createdAt: session.createdAt,
+    state: sessionState(sessionId),
+    connected: sockets[sessionId]?.isConnected || false,
+    keys: session.keys.length
+  }));
+  return res.json({ success: true, data });
+});
 
-  const jid = formatNumber(to);
-  if (!jid || ![0, 86400, 604800, 7776000].includes(duration)) {
-    return res.status(400).json({ error: 'Invalid number or duration' });
+// Create session (returns the generated key once)
+route('post', '/api/v1/admin/sessions', {
+  summary: 'Create a session (the generated key is returned once)',
+  tags: ['Admin'],
+  status: 201,
+  body: objectSchema({
+    sessionId: sessionIdField,
+    keyName: { type: 'string' },
+    scopes: keyScopes,
+    connect: { type: 'boolean' }
+  }, ['sessionId'])
+}, verifyAdminKey, async (req, res) => {
+  const { sessionId, keyName, scopes, connect } = req.body;
+
+  if (sessions[sessionId]) {
+    return sendError(res, 409, 'SESSION_EXISTS', 'Session already exists');
   }
 
   try {
-    await sock.sendMessage(jid, { disappearingMessagesInChat: duration });
-    return res.json({ success: true, message: `Set disappearing message for ${duration}s` });
+    const { apiKey, key } = await createSession(sessionId, { keyName, scopes });
+    if (connect) {
+      connectSession(sessionId).catch(err => sessionLog(sessionId).error({ err }, 'Connection error'));
+    }
+    sessionLog(sessionId).info('Session created via admin API');
+    return res.status(201).json({ success: true, sessionId, apiKey, key });
   } catch (e) {
-    return res.status(500).json({ error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ Check if number exists on WhatsApp + name, profilePic, businessName
-app.get('/api/v1/session/:sessionId/checkNumber', verifyApiKey, async (req, res) => {
+// Rename session
+route('patch', '/api/v1/admin/sessions/:sessionId', {
+  summary: 'Rename a session',
+  tags: ['Admin'],
+  body: objectSchema({ newSessionId: sessionIdField }, ['newSessionId'])
+}, verifyAdminKey, async (req, res) => {
   const { sessionId } = req.params;
-  const { number } = req.query;
+  const { newSessionId } = req.body;
 
-  const sock = sockets[sessionId];
-  if (!sock?.isConnected) return res.status(409).json({ error: 'Not connected' });
+  if (!sessions[sessionId]) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
+  if (sessions[newSessionId]) return sendError(res, 409, 'SESSION_EXISTS', 'A session with that id already exists');
 
-  const jid = formatNumber(number);
-  if (!jid) return res.status(400).json({ error: 'Invalid number' });
+  try {
+    await renameSession(sessionId, newSessionId);
+    sessionLog(newSessionId).info(`Session renamed from ${sessionId}`);
+    return res.json({ success: true, sessionId: newSessionId });
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
+
+// Export a session (credentials, API keys and configs) as an encrypted bundle.
+// Stop or delete it here before connecting the imported copy elsewhere.
+route('post', '/api/v1/admin/sessions/:sessionId/export', {
+  summary: 'Export a session as an encrypted bundle',
+  tags: ['Admin'],
+  response: 'Encrypted session bundle',
+  body: objectSchema({ passphrase: { type: 'string', minLength: BUNDLE_MIN_PASSPHRASE } }, ['passphrase'])
+}, verifyAdminKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const { passphrase } = req.body;
+
+  if (!sessions[sessionId]) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
 
   try {
-    const result = await sock.onWhatsApp(jid);
-    const exists = result?.[0]?.exists || false;
+    const bundle = encryptBundle(await exportSession(sessionId), passphrase);
+    sessionLog(sessionId).info('Session exported');
+    res.setHeader('Content-Disposition', `attachment; filename="${sessionId}.session.json"`);
+    return res.json(bundle);
+  } catch (e) {
+    return sendInternalError(res, e);
+  }
+});
 
-    let profilePic = null;
-    try {
-      profilePic = await sock.profilePictureUrl(jid, 'image');
-    } catch {} // ignore privacy errors
+// Import a session bundle (optionally under a different id)
+route('post', '/api/v1/admin/sessions/import', {
+  summary: 'Import an exported session bundle',
+  tags: ['Admin'],
+  status: 201,
+  body: objectSchema({
+    bundle: { type: 'object', description: 'Body returned by the export route' },
+    passphrase: { type: 'string', minLength: 1 },
+    sessionId: { ...sessionIdField, description: 'Import under a different id' },
+    connect: { type: 'boolean' }
+  }, ['bundle', 'passphrase'])
+}, verifyAdminKey, async (req, res) => {
+  const { bundle, passphrase, sessionId: targetId, connect } = req.body;
 
-    let businessName = null;
-    try {
-      const biz = await sock.getBusinessProfile(jid);
-      businessName = biz?.businessProfile?.name || null;
-    } catch {}
+  let payload;
+  try {
+    payload = decryptBundle(bundle, passphrase);
+  } catch {
+    return sendError(res, 400, 'INVALID_BUNDLE', 'Wrong passphrase or invalid bundle');
+  }
 
-    let name = null;
-    try {
-      name = await sock.fetchName(jid);
-    } catch {}
+  const sessionId = targetId || payload.sessionId;
+  if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'sessionId may only contain letters, numbers, "_" and "-"');
+  }
+  if (sessions[sessionId]) {
+    return sendError(res, 409, 'SESSION_EXISTS', 'Session already exists; delete it or import under another sessionId');
+  }
 
-    return res.json({
-      exists,
-      jid,
-      name,
-      profilePic,
-      businessName
-    });
+  try {
+    await importSession(sessionId, payload);
+    if (connect) {
+      connectSession(sessionId).catch(err => sessionLog(sessionId).error({ err }, 'Connection error'));
+    }
+    sessionLog(sessionId).info(`Session imported (exported ${payload.exportedAt})`);
+    return res.status(201).json({ success: true, sessionId, keys: (sessions[sessionId].keys || []).map(publicKey) });
   } catch (e) {
-    return res.status(500).json({ error: e.toString() });
+    return sendInternalError(res, e);
   }
 });
 
-// ✅ Delete session
-app.delete('/api/v1/session/:sessionId', verifyApiKey, async (req, res) => {
+// Delete session (logs out and removes its data)
+route('delete', '/api/v1/admin/sessions/:sessionId', { summary: 'Log out and delete a session', tags: ['Admin'] }, verifyAdminKey, async (req, res) => {
   const { sessionId } = req.params;
+  if (!sessions[sessionId]) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
 
-  if (sockets[sessionId]) {
-    await sockets[sessionId].logout();
-    delete sockets[sessionId];
-  }
+  await deleteSession(sessionId);
+  return res.json({ success: true });
+});
 
-  delete sessions[sessionId];
-  await fs.writeJson(SESSIONS_FILE, sessions, { spaces: 2 });
+// Quotas for a session (null puts a limit back to the server default, 0 means unlimited)
+route('get', '/api/v1/admin/sessions/:sessionId/quotas', { summary: 'Session quotas', tags: ['Admin'] }, verifyAdminKey, (req, res) => {
+  const { sessionId } = req.params;
+  if (!sessions[sessionId]) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
 
-  const sessionAuthPath = path.join(AUTH_DIR, sessionId);
-  if (fs.existsSync(sessionAuthPath)) {
-    await fs.remove(sessionAuthPath);
+  return res.json({ success: true, quotas: sessionQuotas(sessionId), overrides: sessions[sessionId].quotas || {} });
+});
+
+route('put', '/api/v1/admin/sessions/:sessionId/quotas', {
+  summary: 'Set session quotas',
+  tags: ['Admin'],
+  body: objectSchema(Object.fromEntries(Object.keys(QUOTA_DEFAULTS).map(quota => [quota, { type: ['integer', 'null'], minimum: 0 }])))
+}, verifyAdminKey, async (req, res) => {
+  const { sessionId } = req.params;
+  if (!sessions[sessionId]) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
+
+  const overrides = { ...sessions[sessionId].quotas };
+  for (const [quota, limit] of Object.entries(req.body)) {
+    if (limit === null) delete overrides[quota];
+    else overrides[quota] = limit;
   }
+  await markSession(sessionId, { quotas: Object.keys(overrides).length ? overrides : null });
+  sessionLog(sessionId).info({ quotas: overrides }, 'Quotas changed');
+
+  return res.json({ success: true, quotas: sessionQuotas(sessionId), overrides });
+});
+
+// List API keys (hashes are never returned)
+route('get', '/api/v1/admin/sessions/:sessionId/keys', { summary: 'List API keys', tags: ['Admin'] }, verifyAdminKey, (req, res) => {
+  const session = sessions[req.params.sessionId];
+  if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
+
+  return res.json({ success: true, data: session.keys.map(publicKey) });
+});
+
+// Add an API key
+route('post', '/api/v1/admin/sessions/:sessionId/keys', {
+  summary: 'Add an API key (returned once)',
+  tags: ['Admin'],
+  status: 201,
+  body: objectSchema({ name: { type: 'string' }, scopes: keyScopes })
+}, verifyAdminKey, async (req, res) => {
+  const { name, scopes } = req.body;
+  const session = sessions[req.params.sessionId];
+  if (!session) return sendError(res, 404, 'SESSION_NOT_FOUND', 'Session not found');
+
+  const apiKey = generateApiKey();
+  const record = createKeyRecord(name, scopes, apiKey);
+  session.keys.push(record);
+  await safeWriteSessions();
+
+  return res.status(201).json({ success: true, apiKey, key: publicKey(record) });
+});
+
+// Rotate an API key (old value stops working immediately)
+route('post', '/api/v1/admin/sessions/:sessionId/keys/:keyId/rotate', { summary: 'Rotate an API key', tags: ['Admin'] }, verifyAdminKey, async (req, res) => {
+  const session = sessions[req.params.sessionId];
+  const key = session?.keys.find(k => k.id === req.params.keyId);
+  if (!key) return sendError(res, 404, 'KEY_NOT_FOUND', 'Key not found');
+
+  const apiKey = generateApiKey();
+  key.hash = hashApiKey(apiKey);
+  key.rotatedAt = new Date().toISOString();
+  await safeWriteSessions();
+
+  return res.json({ success: true, apiKey, key: publicKey(key) });
+});
+
+// Revoke an API key
+route('delete', '/api/v1/admin/sessions/:sessionId/keys/:keyId', { summary: 'Revoke an API key', tags: ['Admin'] }, verifyAdminKey, async (req, res) => {
+  const session = sessions[req.params.sessionId];
+  const index = session ? session.keys.findIndex(k => k.id === req.params.keyId) : -1;
+  if (index === -1) return sendError(res, 404, 'KEY_NOT_FOUND', 'Key not found');
+
+  session.keys.splice(index, 1);
+  await safeWriteSessions();
 
   return res.json({ success: true });
 });
 
-// ✅ RegexTriggers
-app.post('/api/v1/session/:sessionId/regexTriggers', verifyApiKey, async (req, res) => {
+// ✅ Flows (store in auth/<sessionId>/flows.json)
+route('post', '/api/v1/session/:sessionId/flows', {
+  summary: 'Replace conversation flows',
+  tags: ['Flows'],
+  body: objectSchema({
+    flows: {
+      type: 'array',
+      items: objectSchema({
+        id: { type: 'string', minLength: 1 },
+        start: { type: 'string' },
+        trigger: objectSchema({ keywords: { type: 'array', items: { type: 'string' } }, regex: { type: 'string', format: 'regex' } }),
+        scope: schemas.scope,
+        nodes: { type: 'object', additionalProperties: { type: 'object' } }
+      }, ['id', 'start', 'trigger', 'nodes'])
+    }
+  }, ['flows'])
+}, verifyApiKey, async (req, res) => {
   const { sessionId } = req.params;
-  const { triggers } = req.body;
+  const { flows: definitions } = req.body;
 
-  if (!Array.isArray(triggers)) {
-    return res.status(400).json({ error: 'triggers must be an array' });
+  for (const flow of definitions) {
+    const error = validateFlow(flow);
+    if (error) return sendValidationError(res, error);
   }
 
-  for (const trigger of triggers) {
-    if (!trigger.name || !trigger.regex || !trigger.callback_url) {
-      return res.status(400).json({ error: 'Each trigger must include name, regex, and callback_url' });
-    }
+  const ids = definitions.map(f => f.id);
+  if (new Set(ids).size !== ids.length) {
+    return sendError(res, 400, 'VALIDATION_ERROR', 'Flow ids must be unique');
   }
 
-  const filePath = path.join(AUTH_DIR, sessionId, 'regexTriggers.json');
-  await fs.writeJson(filePath, triggers, { spaces: 2 });
-  regexTriggers[sessionId] = triggers;
+  const filePath = path.join(AUTH_DIR, sessionId, 'flows.json');
+  await fs.outputJson(filePath, definitions, { spaces: 2 });
+  flows[sessionId] = definitions;
 
-  return res.json({ success: true, count: triggers.length });
+  return res.json({ success: true, count: definitions.length });
 });
 
-// ✅ GET autoReplies
-app.get('/api/v1/session/:sessionId/autoReplies', verifyApiKey, async (req, res) => {
-  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'autoReplies.json');
+// ✅ GET flows
+route('get', '/api/v1/session/:sessionId/flows', { summary: 'List flows', tags: ['Flows'] }, verifyApiKey, async (req, res) => {
+  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'flows.json');
   if (fs.existsSync(filePath)) {
-    const replies = await fs.readJson(filePath);
-    return res.json({ success: true, data: replies });
+    const data = await fs.readJson(filePath);
+    return res.json({ success: true, data });
   } else {
-    return res.status(404).json({ error: 'autoReplies.json not found' });
+    return res.json({ success: true, data: [] });
   }
 });
 
-// ✅ GET regexTriggers
-app.get('/api/v1/session/:sessionId/regexTriggers', verifyApiKey, async (req, res) => {
-  const filePath = path.join(AUTH_DIR, req.params.sessionId, 'regexTriggers.json');
-  if (fs.existsSync(filePath)) {
-    const triggers = await fs.readJson(filePath);
-    return res.json({ success: true, data: triggers });
-  } else {
-    return res.status(404).json({ error: 'regexTriggers.json not found' });
-  }
+// ✅ Active flow conversations
+route('get', '/api/v1/session/:sessionId/flows/state', { summary: 'Active flow conversations', tags: ['Flows'] }, verifyApiKey, async (req, res) => {
+  const states = await loadFlowStates(req.params.sessionId);
+  const data = Object.entries(states).map(([key, state]) => ({ chat: key.split('|')[0], ...state }));
+  return res.json({ success: true, data });
+});
+
+// ✅ Reset a chat's flow
+route('delete', '/api/v1/session/:sessionId/flows/state/:chatJid', { summary: "Reset a chat's flow", tags: ['Flows'] }, verifyApiKey, async (req, res) => {
+  const { sessionId, chatJid } = req.params;
+  const states = await loadFlowStates(sessionId);
+
+  const keys = Object.keys(states).filter(key => key.split('|')[0] === chatJid);
+  if (keys.length === 0) return sendError(res, 404, 'FLOW_STATE_NOT_FOUND', 'No active flow for this chat');
+
+  for (const key of keys) delete states[key];
+  saveFlowStates(sessionId);
+
+  return res.json({ success: true, reset: keys.length });
+});
+
+// ✅ OpenAPI document (built from the route schemas above)
+route('get', '/openapi.json', { summary: 'OpenAPI document for this API', tags: ['System'] }, (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// ✅ Web dashboard (static files in public/, signs in with the session or admin key)
+app.use('/dashboard', express.static(path.join(__dirname, 'public')));
+
+// ✅ Unknown routes and unhandled errors use the same error envelope
+app.use((req, res) => sendError(res, 404, 'NOT_FOUND', `Cannot ${req.method} ${req.path}`));
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  if (err.status && ERROR_CODES.includes(err.code)) return sendError(res, err.status, err.code, err.message);
+
+  logger.error({ err, method: req.method, path: req.path }, 'Unhandled route error');
+  return sendInternalError(res, err);
 });
 
 // ✅ Auto reconnect sessions on server start
 async function autoReconnectSessions() {
-  console.log('🔁 Auto-reconnecting existing sessions...');
+  logger.info('Auto-reconnecting existing sessions...');
   const sessionIds = Object.keys(sessions);
   
   if (sessionIds.length === 0) {
-    console.log('ℹ️ No existing sessions found for auto-reconnect');
+    logger.info('No existing sessions found for auto-reconnect');
     return;
   }
 
   for (const sessionId of sessionIds) {
+    // Paused and logged-out sessions wait for an explicit resume/link
+    if (['paused', 'logged-out'].includes(sessionState(sessionId))) {
+      sessionLog(sessionId).info(`Not reconnecting, session is ${sessionState(sessionId)}`);
+      continue;
+    }
     try {
-      console.log(`[${sessionId}] Auto reconnecting on startup...`);
+      sessionLog(sessionId).info('Auto reconnecting on startup...');
       await connectSession(sessionId);
-      console.log(`[${sessionId}] ✅ Reconnected successfully`);
+      sessionLog(sessionId).info('Reconnected successfully');
     } catch (err) {
-      console.error(`[${sessionId}] ❌ Failed to reconnect:`, err.message);
+      sessionLog(sessionId).error({ err }, 'Failed to reconnect');
     }
   }
 }
 
 // Start server
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 WhatsApp API - Complete Features + Device Linking Fix`);
-  console.log(`🔧 Health: http://localhost:${PORT}/health`);
+const server = app.listen(PORT, '0.0.0.0', () => {
+  logger.info({ port: PORT, authStore: AUTH_STORE }, `Server running on port ${PORT}`);
   
   // Auto-reconnect after delay
   setTimeout(autoReconnectSessions, 3000);
+
+  // Scheduled messages
+  setInterval(runDueSchedules, SCHEDULE_TICK_MS);
+
+  // Media retention
+  setInterval(pruneMedia, 60 * 60 * 1000);
+
+  // Flow timeouts
+  setInterval(expireFlows, 60 * 1000);
 });
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,458 @@
+// Dashboard for the WhatsApp API. It only talks to the HTTP API, with the key the
+// operator signs in with (kept in sessionStorage, so it is gone when the tab closes).
+(() => {
+  'use strict';
+
+  const STORAGE_KEY = 'whatsapp-api-dashboard';
+  const SESSION_REFRESH_MS = 5000;
+  const SCOPES = ['all', 'dm', 'group'];
+
+  // Editable rule lists: the columns shown, and how each API shapes the list
+  const RULE_KINDS = {
+    autoReplies: {
+      columns: [
+        { field: 'keyword', label: 'Keyword', required: true },
+        { field: 'reply', label: 'Reply', required: true },
+        { field: 'scope', label: 'Scope', options: SCOPES },
+        { field: 'typing', label: 'Typing', type: 'checkbox' }
+      ],
+      blank: () => ({ keyword: '', reply: '', scope: 'all', typing: false }),
+      read: data => data.data,
+      body: rows => ({ replies: rows, saveToAuth: true })
+    },
+    regexTriggers: {
+      columns: [
+        { field: 'name', label: 'Name', required: true },
+        { field: 'regex', label: 'Regex', required: true, regex: true },
+        { field: 'callback_url', label: 'Callback URL', required: true, url: true },
+        { field: 'scope', label: 'Scope', options: SCOPES }
+      ],
+      blank: () => ({ name: '', regex: '', callback_url: '', scope: 'all' }),
+      read: data => data.data,
+      body: rows => ({ triggers: rows })
+    },
+    regexTriggersPro: {
+      columns: [
+        { field: 'name', label: 'Name', required: true },
+        { field: 'regex', label: 'Regex', required: true, regex: true },
+        { field: 'target_number', label: 'Sender', required: true },
+        { field: 'callback_url', label: 'Callback URL', required: true, url: true },
+        { field: 'scope', label: 'Scope', options: SCOPES }
+      ],
+      blank: () => ({ name: '', regex: '', target_number: '', callback_url: '', scope: 'all' }),
+      read: data => data.triggers,
+      body: rows => ({ triggers: rows })
+    }
+  };
+
+  const state = {
+    key: null,
+    admin: false,
+    // The one session a session key may use (null for the admin key)
+    sessionId: null,
+    current: null,
+    events: null,
+    refreshTimer: null,
+    ruleKind: 'autoReplies',
+    rules: []
+  };
+
+  const $ = selector => document.querySelector(selector);
+
+  function el(tag, props = {}, ...children) {
+    const node = document.createElement(tag);
+    for (const [name, value] of Object.entries(props)) {
+      if (name === 'class') node.className = value;
+      else if (name.startsWith('on')) node.addEventListener(name.slice(2), value);
+      else node[name] = value;
+    }
+    node.append(...children);
+    return node;
+  }
+
+  function setText(selector, text, className) {
+    const node = $(selector);
+    node.textContent = text || '';
+    if (className !== undefined) node.className = className;
+  }
+
+  // Errors come back as { success: false, error: { code, message } }
+  async function api(method, path, body) {
+    const res = await fetch(path, {
+      method,
+      headers: { Authorization: `Bearer ${state.key}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || data.success === false) {
+      const err = new Error(data.error?.message || `${method} ${path} failed (${res.status})`);
+      err.status = res.status;
+      err.code = data.error?.code;
+      throw err;
+    }
+    return data;
+  }
+
+  const sessionPath = (suffix = '', sessionId = state.current) => `/api/v1/session/${encodeURIComponent(sessionId)}${suffix}`;
+
+  // ✅ Sign in: the admin key sees every session, a session key only its own
+  async function signIn(key, sessionId) {
+    state.key = key;
+    try {
+      await api('GET', '/api/v1/admin/sessions');
+      state.admin = true;
+      state.sessionId = null;
+    } catch (err) {
+      if (!sessionId) {
+        state.key = null;
+        throw new Error(err.status === 401 ? 'Not an admin key. Enter the session ID to sign in with a session key.' : err.message);
+      }
+      try {
+        await api('GET', sessionPath('/status', sessionId));
+      } catch (sessionErr) {
+        state.key = null;
+        throw sessionErr;
+      }
+      state.admin = false;
+      state.sessionId = sessionId;
+    }
+
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ key, sessionId: state.sessionId }));
+    $('#sign-in-view').hidden = true;
+    $('#app-view').hidden = false;
+    $('#whoami').hidden = false;
+    $('#create-session-form').hidden = !state.admin;
+    setText('#whoami-label', state.admin ? 'Admin' : `Session ${state.sessionId}`);
+
+    await loadSessions();
+    state.refreshTimer = setInterval(() => loadSessions().catch(() => {}), SESSION_REFRESH_MS);
+  }
+
+  function signOut() {
+    sessionStorage.removeItem(STORAGE_KEY);
+    clearInterval(state.refreshTimer);
+    state.events?.close();
+    Object.assign(state, { key: null, admin: false, sessionId: null, current: null, events: null, refreshTimer: null });
+    $('#app-view').hidden = true;
+    $('#whoami').hidden = true;
+    $('#session-view').hidden = true;
+    $('#sign-in-view').hidden = false;
+  }
+
+  // ✅ Session list
+  async function loadSessions() {
+    let list;
+    if (state.admin) {
+      list = (await api('GET', '/api/v1/admin/sessions')).data;
+    } else {
+      const status = await api('GET', sessionPath('/status', state.sessionId));
+      list = [{ sessionId: state.sessionId, state: status.state }];
+    }
+
+    const rows = list.map(session => el('tr', {
+      class: session.sessionId === state.current ? 'selected' : '',
+      onclick: () => selectSession(session.sessionId)
+    },
+    el('td', {}, session.sessionId),
+    el('td', {}, el('span', { class: `badge ${session.state}` }, session.state))));
+    $('#session-list tbody').replaceChildren(...rows);
+
+    if (!state.current && list.length) selectSession(list[0].sessionId);
+  }
+
+  async function createSession(event) {
+    event.preventDefault();
+    const sessionId = event.target.sessionId.value.trim();
+    try {
+      const data = await api('POST', '/api/v1/admin/sessions', { sessionId });
+      setText('#create-session-result', `Created. API key (shown once): ${data.apiKey}`, 'note');
+      event.target.reset();
+      await loadSessions();
+      selectSession(sessionId);
+    } catch (err) {
+      setText('#create-session-result', err.message, 'error');
+    }
+  }
+
+  // ✅ Selected session: live state over Server-Sent Events
+  function selectSession(sessionId) {
+    state.current = sessionId;
+    for (const row of document.querySelectorAll('#session-list tbody tr')) {
+      row.classList.toggle('selected', row.firstChild.textContent === sessionId);
+    }
+    $('#session-view').hidden = false;
+    setText('#session-title', sessionId);
+    setText('#session-error', '');
+    setText('#send-result', '');
+    clearLinkOutput();
+
+    openEvents();
+    refreshStatus();
+    loadRules();
+  }
+
+  function openEvents() {
+    state.events?.close();
+    // EventSource cannot send headers, so the key goes in the query string
+    const events = new EventSource(`${sessionPath('/events')}?events=status,state,qr,pairing&apiKey=${encodeURIComponent(state.key)}`);
+    const on = (name, handler) => events.addEventListener(name, (event) => handler(JSON.parse(event.data)));
+
+    on('status', (data) => {
+      renderState(data);
+      if (data.connected) showConnected();
+      else if (data.pairing) showPairing(data.pairing);
+      else if (data.qr) showQr(data.qr);
+    });
+    on('state', (data) => {
+      renderState(data);
+      if (data.state === 'open') showConnected();
+    });
+    on('qr', data => showQr(data.qr));
+    on('pairing', data => showPairing(data));
+    state.events = events;
+  }
+
+  async function refreshStatus() {
+    try {
+      const status = await api('GET', sessionPath('/status'));
+      renderState(status);
+      if (status.connected) showConnected();
+    } catch (err) {
+      setText('#session-error', err.message);
+    }
+  }
+
+  function renderState(info) {
+    setText('#session-state', info.state, `badge ${info.state}`);
+    const detail = [];
+    if (info.lastError) detail.push(`Last error: ${info.lastError}`);
+    if (info.nextRetryAt) detail.push(`Next attempt ${new Date(info.nextRetryAt).toLocaleTimeString()} (attempt ${info.attempts})`);
+    setText('#session-detail', detail.join(' · '));
+  }
+
+  async function sessionAction(action) {
+    if (action === 'logout' && !confirm(`Log out ${state.current}? The phone will have to be linked again.`)) return;
+    setText('#session-error', '');
+    try {
+      await api('POST', sessionPath(`/${action}`));
+      await refreshStatus();
+      await loadSessions();
+    } catch (err) {
+      setText('#session-error', err.message);
+    }
+  }
+
+  // ✅ Linking: QR code or pairing code, both refreshed live by the event stream
+  function clearLinkOutput() {
+    $('#qr-image').hidden = true;
+    $('#pairing-code').hidden = true;
+    setText('#link-note', '');
+  }
+
+  function showQr(qr) {
+    clearLinkOutput();
+    $('#qr-image').src = qr;
+    $('#qr-image').hidden = false;
+    setText('#link-note', 'WhatsApp on the phone: Linked devices > Link a device. A new code appears here when this one expires.');
+  }
+
+  function showPairing({ formattedCode, code, expiresAt }) {
+    clearLinkOutput();
+    setText('#pairing-code', formattedCode || code);
+    $('#pairing-code').hidden = false;
+    setText('#link-note', `Linked devices > Link a device > Link with phone number instead. Expires ${new Date(expiresAt).toLocaleTimeString()}, a new code follows automatically.`);
+  }
+
+  function showConnected() {
+    clearLinkOutput();
+    setText('#link-note', 'Connected to WhatsApp.');
+  }
+
+  async function requestQr() {
+    clearLinkOutput();
+    setText('#link-note', 'Waiting for a QR code…');
+    try {
+      const data = await api('GET', sessionPath('/qr'));
+      if (data.connected) showConnected();
+      else showQr(data.qr);
+    } catch (err) {
+      setText('#link-note', err.message);
+    }
+  }
+
+  async function requestPairingCode(event) {
+    event.preventDefault();
+    clearLinkOutput();
+    setText('#link-note', 'Requesting a pairing code…');
+    try {
+      const data = await api('POST', sessionPath('/pair'), { phoneNumber: event.target.phoneNumber.value.trim() });
+      if (data.connected) showConnected();
+      else showPairing(data);
+    } catch (err) {
+      setText('#link-note', err.message);
+    }
+  }
+
+  // ✅ Test message
+  async function sendTest(event) {
+    event.preventDefault();
+    const form = event.target;
+    try {
+      const data = await api('POST', sessionPath('/sendText'), { to: form.to.value.trim(), text: form.text.value });
+      setText('#send-result', `Job ${data.jobId}: ${data.status}`, 'note');
+      form.text.value = '';
+    } catch (err) {
+      setText('#send-result', err.message, 'error');
+    }
+  }
+
+  // ✅ Auto replies and triggers
+  async function loadRules() {
+    const kind = state.ruleKind;
+    setText('#rule-result', '');
+    try {
+      const data = await api('GET', sessionPath(`/${kind}`));
+      state.rules = RULE_KINDS[kind].read(data) || [];
+    } catch (err) {
+      // Nothing saved yet
+      if (err.code !== 'CONFIG_NOT_FOUND') setText('#rule-result', err.message, 'error');
+      state.rules = [];
+    }
+    renderRules();
+  }
+
+  // Returns an error message for a field value, or null
+  function fieldError(column, value) {
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (column.required && (text === '' || text === undefined || text === null)) return `${column.label} is required`;
+    if (column.regex && text) {
+      try {
+        // Same flags the server matches with
+        new RegExp(text, 'i');
+      } catch (err) {
+        return `Invalid regex: ${err.message}`;
+      }
+    }
+    if (column.url && text && !/^https?:\/\//i.test(text)) return `${column.label} must be an http(s) URL`;
+    return null;
+  }
+
+  function markField(input, column, value) {
+    const error = fieldError(column, value);
+    input.classList.toggle('invalid', !!error);
+    input.title = error || '';
+  }
+
+  function renderRules() {
+    const { columns } = RULE_KINDS[state.ruleKind];
+    $('#rule-table thead').replaceChildren(el('tr', {}, ...columns.map(c => el('th', {}, c.label)), el('th')));
+
+    const rows = state.rules.map((rule, index) => {
+      const cells = columns.map((column) => {
+        let input;
+        if (column.options) {
+          input = el('select', { onchange: () => { rule[column.field] = input.value; } },
+            ...column.options.map(option => el('option', { value: option, selected: (rule[column.field] || 'all') === option }, option)));
+        } else if (column.type === 'checkbox') {
+          input = el('input', { type: 'checkbox', checked: rule[column.field] === true, onchange: () => { rule[column.field] = input.checked; } });
+        } else {
+          input = el('input', {
+            type: 'text',
+            value: rule[column.field] ?? '',
+            oninput: () => {
+              rule[column.field] = input.value;
+              markField(input, column, input.value);
+            }
+          });
+          markField(input, column, rule[column.field] ?? '');
+        }
+        return el('td', { class: column.options || column.type ? 'narrow-cell' : '' }, input);
+      });
+
+      const remove = el('button', {
+        type: 'button',
+        class: 'secondary',
+        onclick: () => {
+          state.rules.splice(index, 1);
+          renderRules();
+        }
+      }, 'Remove');
+      return el('tr', {}, ...cells, el('td', { class: 'narrow-cell' }, remove));
+    });
+    $('#rule-table tbody').replaceChildren(...rows);
+  }
+
+  async function saveRules() {
+    const { columns, body } = RULE_KINDS[state.ruleKind];
+    const errors = [];
+    state.rules.forEach((rule, index) => {
+      for (const column of columns) {
+        const error = fieldError(column, rule[column.field]);
+        if (error) errors.push(`Row ${index + 1}: ${error}`);
+      }
+    });
+    if (errors.length) {
+      setText('#rule-result', errors.join('; '), 'error');
+      return;
+    }
+
+    const rows = state.rules.map((rule) => {
+      const row = { ...rule };
+      for (const column of columns) {
+        if (typeof row[column.field] === 'string') row[column.field] = row[column.field].trim();
+      }
+      return row;
+    });
+
+    try {
+      const data = await api('POST', sessionPath(`/${state.ruleKind}`), body(rows));
+      setText('#rule-result', `Saved ${data.count} ${data.count === 1 ? 'entry' : 'entries'}.`, 'note');
+      await loadRules();
+    } catch (err) {
+      setText('#rule-result', err.message, 'error');
+    }
+  }
+
+  function selectRuleKind(kind) {
+    state.ruleKind = kind;
+    for (const tab of document.querySelectorAll('#rule-tabs button')) {
+      tab.classList.toggle('active', tab.dataset.kind === kind);
+    }
+    loadRules();
+  }
+
+  // ✅ Wiring
+  $('#sign-in-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    setText('#sign-in-error', '');
+    try {
+      await signIn(form.key.value.trim(), form.sessionId.value.trim() || null);
+      form.reset();
+    } catch (err) {
+      setText('#sign-in-error', err.message);
+    }
+  });
+  $('#sign-out').addEventListener('click', signOut);
+  $('#create-session-form').addEventListener('submit', createSession);
+  for (const button of document.querySelectorAll('[data-action]')) {
+    button.addEventListener('click', () => sessionAction(button.dataset.action));
+  }
+  $('#show-qr').addEventListener('click', requestQr);
+  $('#pair-form').addEventListener('submit', requestPairingCode);
+  $('#send-form').addEventListener('submit', sendTest);
+  for (const tab of document.querySelectorAll('#rule-tabs button')) {
+    tab.addEventListener('click', () => selectRuleKind(tab.dataset.kind));
+  }
+  $('#add-rule').addEventListener('click', () => {
+    state.rules.push(RULE_KINDS[state.ruleKind].blank());
+    renderRules();
+  });
+  $('#save-rules').addEventListener('click', saveRules);
+
+  // Stay signed in across reloads of this tab
+  const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+  if (saved?.key) {
+    signIn(saved.key, saved.sessionId).catch(() => sessionStorage.removeItem(STORAGE_KEY));
+  }
+})();